@@ -10,17 +10,44 @@
     // 'use strict'モードを有効にし、より厳格なエラーチェックを行います。
     'use strict';
 
+    // このスクリプトを読み込んでいるscriptタグ
+    const scriptTag = document.querySelector('script[src*="oneAccountSales.js"], script[src*="SampleTrackingScript.js"], script[src*="OneAccountCrossDomain.js"]');
+    // 署名付きクリックトークンの形式のバージョン（トークンの先頭に付与される。OneAccountTracking.jsと共通）
+    const CLICK_TOKEN_VERSION = 'oa1';
+    // 端末の時計のずれを考慮し、クリックトークンの有効期限切れの判定に加える猶予（秒）。厳密な判定は成果計測サーバーが行う（OneAccountTracking.jsと共通）
+    const CLICK_TOKEN_CLOCK_TOLERANCE_SECONDS = 24 * 60 * 60;
+
+    /**
+     * 設定値を取得します。
+     * `window.oneAccountConfig` に同名のプロパティがあればそれを優先し、
+     * なければscriptタグの `data-oneaccount<小文字のキー名>` 属性（例: linkedDomains → data-oneaccountlinkeddomains）を参照します。
+     * @param {string} key - 設定キー名
+     * @param {*} defaultValue - 設定されていない場合の値
+     * @returns {*} 設定値
+     */
+    const getOption = (key, defaultValue) => {
+        const config = window.oneAccountConfig;
+        if (config && typeof config === 'object' && config[key] !== undefined) return config[key];
+        const attr = scriptTag ? scriptTag.dataset[`oneaccount${key.toLowerCase()}`] : undefined;
+        return attr !== undefined ? attr : defaultValue;
+    };
+
     /**
      * ログ出力を制御するロガーオブジェクトを取得します。
      * scriptタグに `data-oneaccountstoplog="1"` がある場合、ログ出力を停止します。
-     * @returns {{info: Function, error: Function}} ログ出力用の関数を持つオブジェクト
+     * debugレベルのログは `data-oneaccountdebug="1"`（または `window.oneAccountConfig.debug = true`）の場合のみ出力します。
+     * @returns {{info: Function, error: Function, debug: Function}} ログ出力用の関数を持つオブジェクト
      */
     const getLogger = () => {
-        const scriptTag = document.querySelector('script[src*="oneAccountSales.js"], script[src*="SampleTrackingScript.js"], script[src*="OneAccountCrossDomain.js"]');
         const stopLog = scriptTag && scriptTag.dataset.oneaccountstoplog === '1'; // htmlのScriptタグにdata-oneaccountstoplog="1"が定義されていたらログ出力なし
+        const isDebug = () => {
+            const debug = getOption('debug', false);
+            return debug === true || debug === '1';
+        };
         return {
             info: (message) => !stopLog && console.info(`[oneAccountSales] ${message}`),
             error: (message) => !stopLog && console.error(`[oneAccountSales][ERROR] ${message}`),
+            debug: (message) => !stopLog && isDebug() && console.debug(`[oneAccountSales][DEBUG] ${message}`),
         };
     };
 
@@ -28,8 +55,206 @@
     const logger = getLogger();
 
     /**
-     * 現在のホスト名からルートドメインを取得します。
-     * 'co.jp'のようなセカンドレベルドメイン(SLD)を考慮し、正しくルートドメインを判定します。
+     * テストモードを判定するためのオブジェクトです。有効にする条件はOneAccountTracking.jsと共通です。
+     * - `testMode`（data-oneaccounttestmode="1"、または `window.oneAccountConfig.testMode = true`）
+     * - URLパラメータ `oneAccountTest=1`（`testModeAllowUrl` を指定したサイトのみ。`oneAccountTest=0` で解除）
+     *
+     * テストモードではクロスドメイン処理をすべて実行しますが、Cookieの削除は行わず、画面の左下にテストモードであることを表示します。
+     * 実行の記録はOneAccountTracking.jsが作成する `window.oneAccountTest` に任せます（読み込まれていない場合は記録しません）。
+     */
+    const TestMode = {
+        // 有効・無効を切り替えるURLパラメータ名
+        QUERY_KEY: 'oneAccountTest',
+        // URLパラメータで有効にした状態を保持するsessionStorageのキー
+        SESSION_KEY: 'oneAccountTest',
+        // テストモードであることを表示する要素のID（OneAccountTracking.jsと共通）
+        MARKER_ID: 'oneAccountTestMarker',
+        /**
+         * テストモードが有効かを判定します。URLパラメータで指定された場合は、その状態をsessionStorageに保存します。
+         * @returns {boolean} 有効な場合はtrue
+         */
+        isEnabled: () => {
+            const option = getOption('testMode', false);
+            if (option === true || option === '1' || option === 'true') return true;
+            const allowUrl = getOption('testModeAllowUrl', false);
+            if (allowUrl !== true && allowUrl !== '1' && allowUrl !== 'true') return false;
+            const flag = new URLSearchParams(window.location.search).get(TestMode.QUERY_KEY);
+            try {
+                if (flag === '1') window.sessionStorage.setItem(TestMode.SESSION_KEY, '1');
+                if (flag === '0') window.sessionStorage.removeItem(TestMode.SESSION_KEY);
+                return window.sessionStorage.getItem(TestMode.SESSION_KEY) === '1';
+            } catch (e) {
+                return flag === '1';
+            }
+        },
+        /**
+         * 処理を1回の実行として `window.oneAccountTest` に記録します。テストモードでない場合や、記録先がない場合はそのまま実行します。
+         * @param {string} label - 処理名
+         * @param {Function} task - 実行する処理
+         */
+        track: (label, task) => {
+            const recorder = window.oneAccountTest;
+            if (TestMode.isEnabled() && recorder && typeof recorder.track === 'function') {
+                recorder.track(label, task, EventLog.SOURCE);
+            } else {
+                task();
+            }
+        },
+        /**
+         * テストモードであることを画面に表示します。OneAccountTracking.jsが表示済みの場合は何もしません。
+         */
+        showMarker: () => {
+            if (!document.body || document.getElementById(TestMode.MARKER_ID)) return;
+            const marker = document.createElement('div');
+            marker.id = TestMode.MARKER_ID;
+            marker.setAttribute('role', 'status');
+            marker.textContent = 'OneAccount テストモード（成果通知の送信とCookieの削除は行いません）';
+            Object.assign(marker.style, {
+                position: 'fixed', left: '8px', bottom: '8px', zIndex: '2147483647', padding: '4px 8px',
+                background: '#c62828', color: '#fff', font: 'bold 12px sans-serif', borderRadius: '3px', pointerEvents: 'none'
+            });
+            document.body.appendChild(marker);
+        }
+    };
+
+    /**
+     * 計測処理の経過（Cookieの保存・削除、入力の検証エラー、成果通知の送信など）を確認ツールに通知するためのオブジェクトです。
+     * 各イベントは `oneaccount:event` のCustomEventとして発行し、確認ツール（OneAccountInspector.js）が後から読み込まれた場合に備えて
+     * `window.oneAccountEvents` にも直近のものを保持します。イベントにはクリック識別子や成果データが含まれるため、
+     * 保持するのは確認ツールかテストモードが有効な場合のみで、同意が撤回された場合は破棄します。
+     */
+    const EventLog = {
+        // 発行するイベント名（OneAccountTracking.jsとOneAccountCrossDomain.jsで共通）
+        EVENT_NAME: 'oneaccount:event',
+        // 発行元のスクリプト名
+        SOURCE: 'OneAccountCrossDomain',
+        // window.oneAccountEvents に保持するイベントの最大数
+        MAX_ITEMS: 200,
+        // 確認ツールを有効にするURLパラメータ名とsessionStorageのキー（OneAccountInspector.jsと共通）
+        INSPECTOR_KEY: 'oneAccountInspector',
+        /**
+         * `window.oneAccountEvents` にイベントを保持するかを判定します。
+         * 確認ツールが先に読み込まれて保持先を用意している場合、確認ツールの有効化が指定されている場合（後から読み込まれる場合）、テストモードの場合に保持します。
+         * @returns {boolean} 保持する場合はtrue
+         */
+        isBuffering: () => {
+            if (Array.isArray(window.oneAccountEvents) || TestMode.isEnabled()) return true;
+            const option = getOption('inspector', false);
+            if (option === true || option === '1' || option === 'true') return true;
+            try {
+                const flag = new URLSearchParams(window.location.search).get(EventLog.INSPECTOR_KEY);
+                return flag === '1' || (flag !== '0' && window.sessionStorage.getItem(EventLog.INSPECTOR_KEY) === '1');
+            } catch (e) {
+                return false;
+            }
+        },
+        /**
+         * 保持しているイベントを破棄します。
+         */
+        clear: () => {
+            if (Array.isArray(window.oneAccountEvents)) window.oneAccountEvents.length = 0;
+        },
+        /**
+         * イベントを発行します。確認ツールの有無にかかわらず、計測処理には影響しません。
+         * @param {string} type - イベントの種類（例: 'cookie:set'）
+         * @param {object} [detail] - イベントの内容
+         */
+        emit: (type, detail) => {
+            const event = { source: EventLog.SOURCE, type: type, time: Date.now(), detail: detail || {} };
+            try {
+                if (EventLog.isBuffering()) {
+                    const buffer = Array.isArray(window.oneAccountEvents) ? window.oneAccountEvents : (window.oneAccountEvents = []);
+                    buffer.push(event);
+                    if (buffer.length > EventLog.MAX_ITEMS) buffer.splice(0, buffer.length - EventLog.MAX_ITEMS);
+                }
+                window.dispatchEvent(new CustomEvent(EventLog.EVENT_NAME, { detail: event }));
+            } catch (e) {
+                // イベントを発行できない環境では何もしない
+            }
+        }
+    };
+
+    /**
+     * Public Suffix List（https://publicsuffix.org/）に基づいて、Cookieを設定できるドメインを判定するためのオブジェクトです。
+     * スクリプトのサイズを抑えるため、主要な国別・汎用トップレベルドメインとホスティングサービスのルールのみを同梱しています。
+     * 一覧にないトップレベルドメイン（ブランドTLDなど）は、PSLの既定ルール（'*'）に従って最後の1ラベルを公開サフィックスとして扱います。
+     */
+    const PublicSuffix = {
+        // 'tld:label,label' の形式で、tld自身と 'label.tld' をルールとして表します。
+        // '*.' で始まるラベルはワイルドカードルール、'!' で始まるラベルは例外ルールです。
+        RULES: [
+            'com:herokuapp,firebaseapp,appspot,blogspot,myshopify,wixsite', 'net:cloudfront,azurewebsites', 'org', 'edu', 'gov', 'mil', 'int',
+            'info', 'biz', 'name', 'pro', 'mobi', 'asia', 'tel', 'travel', 'jobs', 'co', 'me', 'tv', 'cc', 'ai',
+            'io:github,gitlab', 'app:netlify,vercel,web,onrender', 'dev:pages,workers,fly',
+            'jp:co,ne,or,go,ac,ad,ed,gr,lg,' +
+                'aichi,akita,aomori,chiba,ehime,fukui,fukuoka,fukushima,gifu,gunma,hiroshima,hokkaido,hyogo,ibaraki,ishikawa,iwate,' +
+                'kagawa,kagoshima,kanagawa,kochi,kumamoto,kyoto,mie,miyagi,miyazaki,nagano,nagasaki,nara,niigata,oita,okayama,okinawa,' +
+                'osaka,saga,saitama,shiga,shimane,shizuoka,tochigi,tokushima,tokyo,tottori,toyama,wakayama,yamagata,yamaguchi,yamanashi,' +
+                '*.kawasaki,*.kitakyushu,*.kobe,*.nagoya,*.sapporo,*.sendai,*.yokohama,' +
+                '!city.kawasaki,!city.kitakyushu,!city.kobe,!city.nagoya,!city.sapporo,!city.sendai,!city.yokohama',
+            'uk:ac,co,gov,ltd,me,net,nhs,org,plc,police,*.sch', 'au:com,net,org,edu,gov,asn,id,act,nsw,nt,qld,sa,tas,vic,wa',
+            'ca:ab,bc,mb,nb,nf,nl,ns,nt,nu,on,pe,qc,sk,yk', 'nz:ac,co,geek,gen,govt,kiwi,maori,net,org,school',
+            'br:app,art,blog,com,dev,eco,edu,emp,gov,ind,inf,log,net,nom,org,rec,srv,tur,tv,wiki', 'mx:com,edu,gob,net,org', 'ar:com,edu,gob,int,net,org',
+            'kr:ac,co,es,go,hs,mil,ms,ne,or,pe,re,seoul', 'cn:ac,com,edu,gov,net,org', 'tw:com,edu,gov,idv,net,org', 'hk:com,edu,gov,idv,net,org',
+            'sg:com,edu,gov,net,org,per', 'th:ac,co,go,in,net,or', 'my:com,edu,gov,net,org', 'id:ac,co,go,net,or,sch,web', 'ph:com,edu,gov,net,org',
+            'vn:com,edu,gov,net,org', 'in:ac,co,edu,firm,gen,gov,ind,net,org,res', 'za:ac,co,edu,gov,net,org,web', 'tr:av,bel,biz,com,edu,gen,gov,info,k12,net,org',
+            'fr:asso,com,gouv,nom,prd,tm', 'es:com,edu,gob,nom,org', 'it:edu,gov', 'de', 'us', 'eu', 'ru', 'ck:*,!www'
+        ],
+        // 展開済みのルール（初回利用時に生成）
+        rules: null,
+        /**
+         * ルールを展開します。
+         * @returns {Set<string>} ルールの集合
+         */
+        load: () => {
+            if (PublicSuffix.rules) return PublicSuffix.rules;
+            const rules = new Set();
+            PublicSuffix.RULES.forEach(group => {
+                const parts = group.split(':');
+                const tld = parts[0];
+                rules.add(tld);
+                (parts[1] ? parts[1].split(',') : []).forEach(label => {
+                    rules.add(label.charAt(0) === '!' ? `!${label.substring(1)}.${tld}` : `${label}.${tld}`);
+                });
+            });
+            PublicSuffix.rules = rules;
+            return rules;
+        },
+        /**
+         * ホスト名の公開サフィックスを取得します。
+         * @param {string} hostname - ホスト名
+         * @returns {string} 公開サフィックス (例: 'co.jp')
+         */
+        getSuffix: (hostname) => {
+            const rules = PublicSuffix.load();
+            const labels = hostname.toLowerCase().split('.');
+            // 長い候補から順に判定し、最初に一致したルールを採用する
+            for (let i = 0; i < labels.length; i++) {
+                const candidate = labels.slice(i).join('.');
+                if (rules.has(`!${candidate}`)) return labels.slice(i + 1).join('.');
+                if (rules.has(candidate) || (i + 1 < labels.length && rules.has(`*.${labels.slice(i + 1).join('.')}`))) return candidate;
+            }
+            return labels[labels.length - 1];
+        },
+        /**
+         * ホスト名から、公開サフィックスに1ラベルを加えた登録可能ドメインを取得します。
+         * @param {string} hostname - ホスト名
+         * @returns {string|null} 登録可能ドメイン (例: 'example.co.jp')。ホスト名自体が公開サフィックスの場合はnull
+         */
+        getRegistrableDomain: (hostname) => {
+            const suffix = PublicSuffix.getSuffix(hostname);
+            const labels = hostname.toLowerCase().split('.');
+            const suffixLength = suffix.split('.').length;
+            if (labels.length <= suffixLength) return null;
+            return labels.slice(-(suffixLength + 1)).join('.');
+        }
+    };
+
+    /**
+     * 現在のホスト名からルートドメイン（Cookieを設定するドメイン）を取得します。
+     * Public Suffix Listに基づいて 'co.jp' や 'tokyo.jp'、'github.io' などの公開サフィックスを考慮し、正しくルートドメインを判定します。
+     * `cookieDomain`（data-oneaccountcookiedomain）を指定した場合は、現在のホスト名に一致し、公開サフィックスでないものであればそれを優先します。
+     * ホスト名を受け取ってドメインを返す関数を `window.oneAccountConfig.cookieDomain` に指定することもできます。
      * @returns {string} ルートドメイン (例: 'example.com')
      */
     const getRootDomain = () => {
@@ -38,13 +263,27 @@
         if (/^(localhost|(\d{1,3}\.){3}\d{1,3})$/.test(hostname)) {
             return hostname;
         }
-        const parts = hostname.split('.');
-        if (parts.length <= 2) return hostname;
-        const slds = ['co', 'ne', 'or', 'go', 'ac', 'ad', 'ed', 'gr', 'com', 'net', 'org', 'gov', 'edu', 'uk', 'au', 'ca', 'de', 'fr', 'kr'];
-        if (slds.includes(parts[parts.length - 2]) && parts.length > 2) {
-            return parts.slice(-3).join('.');
+        let override = getOption('cookieDomain', null);
+        if (typeof override === 'function') {
+            try {
+                override = override(hostname);
+            } catch (e) {
+                logger.error(`cookieDomainの評価に失敗しました: ${e.message}`);
+                override = null;
+            }
         }
-        return parts.slice(-2).join('.');
+        if (typeof override === 'string' && override !== '') {
+            const domain = override.replace(/^\./, '').toLowerCase();
+            if (hostname !== domain && !hostname.endsWith(`.${domain}`)) {
+                logger.error(`cookieDomain(${override})が現在のホスト名(${hostname})に一致しないため、無視します。`);
+            } else if (PublicSuffix.getRegistrableDomain(domain) === null) {
+                // 'co.jp' などの公開サフィックスにはブラウザがCookieを設定しないため、自動判定に切り替える
+                logger.error(`cookieDomain(${override})は公開サフィックスのため、無視します。`);
+            } else {
+                return domain;
+            }
+        }
+        return PublicSuffix.getRegistrableDomain(hostname) || hostname;
     };
 
     /**
@@ -67,6 +306,7 @@
                 cookieStr += `;domain=${domain}`;
             }
             document.cookie = cookieStr;
+            EventLog.emit('cookie:set', { name: name, value: value, days: days, domain: domain });
         },
         /**
          * 指定された名前のCookieを取得します。
@@ -83,16 +323,208 @@
             return null;
         },
         /**
-         * 指定された名前のCookieを削除します。
+         * 現在参照できるCookieの名前をすべて取得します。
+         * @returns {Array<string>} Cookie名の配列
+         */
+        names: () => document.cookie.split(';').map(c => c.trim().split('=')[0]).filter(Boolean),
+        /**
+         * 指定された名前のCookieを削除します。テストモードでは削除せず、記録のみ行います。
          * @param {string} name - Cookie名
-         * @param {string} domain - 設定されているドメイン
+         * @param {string|null} domain - 設定されているドメイン（nullの場合はドメイン属性なし）
          */
         delete: (name, domain) => {
+            if (TestMode.isEnabled()) {
+                EventLog.emit('cookie:delete', { name: name, domain: domain, skipped: true });
+                return;
+            }
             let cookieStr = `${name}=; Max-Age=-99999999;path=/`;
-            if (!/^(localhost|(\d{1,3}\.){3}\d{1,3})$/.test(domain)) {
+            if (domain && !/^(localhost|(\d{1,3}\.){3}\d{1,3})$/.test(domain)) {
                 cookieStr += `;domain=${domain}`;
             }
             document.cookie = cookieStr;
+            EventLog.emit('cookie:delete', { name: name, domain: domain });
+        }
+    };
+
+    /**
+     * ユーザーの同意状態に応じて、Cookieの書き込みやリンク・フォームの書き換えを制御するためのオブジェクトです。
+     * `consentMode`（data-oneaccountconsentmode="1"）を指定した場合のみ動作し、同意が得られるまで処理を保留します。
+     * 同意が拒否・撤回された場合は保留中の処理を破棄し、保存済みの `_oneAccount_*` と `ONEACCOUNT_DELIVERY*` Cookieを削除します。
+     *
+     * 同意状態は次の順に参照します（値は 'granted' / 'denied'、または true / false）。
+     * 1. `window.oneAccountConfig.consentProvider`: 同意状態を返す関数。引数のコールバックで後から通知することもできます（CMP連携用）。
+     * 2. `window.oneAccountConsent`: `{ state: 'granted' }` のようなオブジェクト
+     * 3. `consentCookie`（data-oneaccountconsentcookie）で指定したCookie。値が `consentCookieValue`（デフォルト 'granted'）であれば同意済み
+     * 同意状態が変わった場合は `window.oneAccountUpdateConsent('granted')` を呼び出して通知します。
+     */
+    const Consent = {
+        // 同意状態の変更を通知するイベント名（OneAccountTracking.jsとOneAccountCrossDomain.jsで共通）
+        EVENT_NAME: 'oneaccount:consent',
+        // 現在の同意状態（'granted' / 'denied' / 'pending'）
+        state: 'pending',
+        // 同意が得られるまで保留している処理
+        pending: [],
+        /**
+         * 同意モードが有効かを判定します。
+         * @returns {boolean} 有効な場合はtrue
+         */
+        isRequired: () => {
+            const mode = getOption('consentMode', false);
+            return mode === true || mode === '1' || mode === 'true';
+        },
+        /**
+         * 様々な形式の同意状態を 'granted' / 'denied' / 'pending' に揃えます。
+         * @param {*} value - 同意状態
+         * @returns {string} 同意状態
+         */
+        normalize: (value) => {
+            if (value === true || value === 'granted') return 'granted';
+            if (value === false || value === 'denied') return 'denied';
+            return 'pending';
+        },
+        /**
+         * 同意状態をプロバイダーから取得します。
+         * @returns {string} 同意状態
+         */
+        read: () => {
+            const provider = getOption('consentProvider', null);
+            if (typeof provider === 'function') {
+                try {
+                    const state = Consent.normalize(provider(Consent.update));
+                    if (state !== 'pending') return state;
+                } catch (e) {
+                    logger.error(`consentProviderの評価に失敗しました: ${e.message}`);
+                }
+            }
+            const consent = window.oneAccountConsent;
+            if (consent !== undefined && consent !== null) {
+                const state = Consent.normalize(typeof consent === 'object' ? consent.state : consent);
+                if (state !== 'pending') return state;
+            }
+            const cookieName = getOption('consentCookie', null);
+            if (cookieName) {
+                const value = CookieUtil.get(cookieName);
+                if (value !== null) {
+                    return value === String(getOption('consentCookieValue', 'granted')) ? 'granted' : 'denied';
+                }
+            }
+            return 'pending';
+        },
+        /**
+         * 処理の実行が許可されているかを判定します。同意モードが無効な場合は常に許可します。
+         * @returns {boolean} 許可されている場合はtrue
+         */
+        isGranted: () => !Consent.isRequired() || Consent.state === 'granted',
+        /**
+         * 同意が得られている場合は処理を実行し、未確定の場合は保留します。拒否されている場合は破棄します。
+         * @param {Function} task - 実行する処理
+         * @param {string} label - ログ出力用の処理名
+         */
+        whenGranted: (task, label) => {
+            if (Consent.isGranted()) {
+                task();
+            } else if (Consent.state === 'denied') {
+                logger.info(`同意が得られていないため、${label}を行いません。`);
+            } else {
+                logger.info(`同意が得られるまで${label}を保留します。`);
+                Consent.pending.push(task);
+            }
+        },
+        /**
+         * 同意状態を更新します。同意された場合は保留中の処理を実行し、拒否・撤回された場合は破棄してデータを削除します。
+         * @param {*} value - 新しい同意状態
+         */
+        update: (value) => {
+            const state = Consent.normalize(value);
+            if (state === 'pending' || state === Consent.state) return;
+            Consent.state = state;
+            EventLog.emit('consent:update', { state: state });
+            if (!Consent.isRequired()) return;
+            if (state === 'granted') {
+                logger.info('同意が得られたため、保留中の処理を実行します。');
+                const tasks = Consent.pending;
+                Consent.pending = [];
+                tasks.forEach(task => task());
+                CROSS_DOMAIN.resume();
+            } else {
+                Consent.pending = [];
+                Consent.purge();
+            }
+        },
+        /**
+         * 保存済みのトラッキング情報を削除し、リンク・フォームの書き換えと監視を停止します。
+         */
+        purge: () => {
+            const rootDomain = getRootDomain();
+            CookieUtil.names()
+                .filter(name => name.indexOf('_oneAccount_') === 0 || CROSS_DOMAIN.isCookieKey(name))
+                .forEach(name => {
+                    CookieUtil.delete(name, rootDomain);
+                    CookieUtil.delete(name, null); // ドメイン属性なしで保存されたCookieも削除する
+                });
+            CROSS_DOMAIN.stop();
+            CROSS_DOMAIN.undecorate();
+            EventLog.clear();
+            logger.info('同意が拒否されたため、保存済みのトラッキング情報を削除しました。');
+        },
+        /**
+         * 同意状態を取得し、以降の変更の監視を開始します。
+         */
+        init: () => {
+            window.addEventListener(Consent.EVENT_NAME, (event) => Consent.update(event.detail && event.detail.state));
+            if (typeof window.oneAccountUpdateConsent !== 'function') {
+                /**
+                 * 同意状態の変更をOneAccountのスクリプトに通知します。
+                 * @param {string|boolean} state - 'granted' / 'denied'、または true / false
+                 */
+                window.oneAccountUpdateConsent = (state) => {
+                    window.dispatchEvent(new CustomEvent(Consent.EVENT_NAME, { detail: { state: state } }));
+                };
+            }
+            if (Consent.isRequired()) Consent.update(Consent.read());
+        }
+    };
+
+
+    /**
+     * ASPが発行する署名付きのクリック識別子（クリックトークン）を検証するためのオブジェクトです。
+     * 形式と検証の規則は README.md の「3.18. 署名付きのクリック識別子（クリックトークン）」が仕様です（OneAccountTracking.jsと共通）。
+     * 署名の検証にはASPの秘密鍵が必要なため、ブラウザでは形式・有効期限・pidとの一致のみを確認し、署名はサーバー側で検証します。
+     */
+    const ClickToken = {
+        // トークン形式の正規表現（バージョン、pid、発行日時、有効期間、ノンス、署名。README.md 3.18.）
+        PATTERN: /^oa1\.([A-Za-z0-9]{15})\.([0-9a-z]{1,10})\.([0-9a-z]{1,8})\.([A-Za-z0-9_-]{16,64})\.([A-Za-z0-9_-]{43})$/,
+        /**
+         * トークンを分解します。
+         * @param {string} value - クリック識別子
+         * acceptedUntil は、端末の時計のずれの猶予を加えた、受け付ける期限です。
+         * @returns {{pid: string, issuedAt: number, expiresAt: number, acceptedUntil: number}|null} 日時はミリ秒。形式が正しくない場合はnull
+         */
+        parse: (value) => {
+            const match = ClickToken.PATTERN.exec(value);
+            if (!match) return null;
+            const issuedAt = parseInt(match[2], 36) * 1000;
+            const expiresAt = issuedAt + (parseInt(match[3], 36) * 1000);
+            return { pid: match[1], issuedAt: issuedAt, expiresAt: expiresAt, acceptedUntil: expiresAt + (CLICK_TOKEN_CLOCK_TOLERANCE_SECONDS * 1000) };
+        },
+        /**
+         * クリック識別子を一時Cookieに保存できるかを検証します。
+         * reason は MALFORMED / UNSIGNED / EXPIRED / PID_MISMATCH のいずれかです（OneAccountTracking.jsと共通）。
+         * @param {string} value - クリック識別子
+         * @param {string|null} pid - 'oneAccount_<pid>' パラメータの場合のプログラムID。共通のパラメータの場合はnull
+         * @returns {{reason: string, message: string}|null} 保存できない理由。問題がなければnull
+         */
+        check: (value, pid) => {
+            if (!/^[A-Za-z0-9\-_.]+$/.test(value)) return { reason: 'MALFORMED', message: 'クリック識別子に不正な文字が含まれています。' };
+            if (value.indexOf(`${CLICK_TOKEN_VERSION}.`) !== 0) {
+                const required = getOption('clickTokenRequired', false);
+                return (required === true || required === '1' || required === 'true') ? { reason: 'UNSIGNED', message: 'クリック識別子が署名付きのトークンではありません。' } : null;
+            }
+            const token = ClickToken.parse(value);
+            if (!token) return { reason: 'MALFORMED', message: 'クリックトークンの形式が不正です。' };
+            if (token.acceptedUntil <= Date.now()) return { reason: 'EXPIRED', message: `クリックトークンの有効期限(${new Date(token.expiresAt).toISOString()})が切れています。` };
+            if (pid !== null && token.pid !== pid) return { reason: 'PID_MISMATCH', message: `クリックトークンは別のプログラム(${token.pid})のものです。` };
+            return null;
         }
     };
 
@@ -101,30 +533,145 @@
 
     /**
      * クロスドメイン間でパラメータを引き渡すための機能を提供するオブジェクトです。
-     * ページロード時に自動的に実行されます。
+     * ページ読み込み時に自動的に実行され、以降に追加された要素やSPAの画面遷移にも追従します。
+     *
+     * 共通の `oneAccount` パラメータに加え、プログラムごとの `oneAccount_<pid>` パラメータにも対応します。
+     * 複数のプログラムを同じ導線で利用する場合でも、プログラムごとのクリック識別子を別々の一時Cookie
+     * （`ONEACCOUNT_DELIVERY_<pid>`）に保存し、リンクとフォームにはすべてのパラメータを引き継ぎます。
      */
     const CROSS_DOMAIN = {
-        // クロスドメイン連携用の一時Cookieのキー名
+        // クロスドメイン連携用の一時Cookieのキー名（プログラムごとの場合は末尾に '_<pid>' を付与）
         COOKIE_KEY: 'ONEACCOUNT_DELIVERY',
-        // URLから取得するパラメータ名
+        // URLから取得するパラメータ名（プログラムごとの場合は末尾に '_<pid>' を付与）
         PARAM_KEY: 'oneAccount',
+        // プログラムIDの形式
+        PID_PATTERN: '[A-Za-z0-9]{15}',
         // 処理対象を限定するためのCSSクラス名
         TARGET_CLASS: 'oneAccountCrossDomain',
         // 処理対象のHTMLタグ
         TARGET_TAGS: ['a', 'form'],
+        // DOMの監視やイベントの登録が完了しているか
+        observing: false,
+        // DOMの変更を監視しているMutationObserver
+        observer: null,
+        // 同意の撤回により監視を停止している場合はtrue
+        stopped: false,
+        // 対象外としてログに出力したURL（同じ内容を繰り返し出力しないため）
+        skipped: new Set(),
 
         /**
-         * <a>タグのリンク(href)にoneAccountパラメータを付与します。
-         * @param {HTMLAnchorElement} anchor - 処理対象のaタグ
-         * @param {string} oneAccountValue - 付与するoneAccountパラメータの値
+         * パラメータを引き継ぐ連携先ドメインの一覧を取得します。
+         * `linkedDomains`（data-oneaccountlinkeddomains）に配列またはカンマ区切りの文字列で指定します。
+         * @returns {Array<string>} 連携先ドメインのパターンの配列。未設定の場合は空
          */
-        updateAnchorHref: (anchor, oneAccountValue) => {
-            const href = anchor.href;
-            // hrefがない、または同一ドメインのリンクは対象外
-            if (!href || anchor.hostname === window.location.hostname) return;
-            // 既にoneAccountパラメータが付与されている場合は何もしない
-            if (href.includes(`${CROSS_DOMAIN.PARAM_KEY}=`)) return;
+        getLinkedDomains: () => {
+            const linkedDomains = getOption('linkedDomains', []);
+            const list = Array.isArray(linkedDomains) ? linkedDomains : String(linkedDomains).split(',');
+            return list.map(domain => String(domain).trim().toLowerCase()).filter(Boolean);
+        },
 
+        /**
+         * ホスト名が連携先ドメインのパターンに一致するかを判定します。
+         * - 'example.com'   : 完全一致
+         * - '.example.com'  : example.com とそのサブドメイン
+         * - '*.example.com' : example.com のサブドメインのみ
+         * - 'shop-*.example.com' : '*' はドットを含まない任意の文字列
+         * @param {string} hostname - 判定するホスト名
+         * @param {string} pattern - 連携先ドメインのパターン
+         * @returns {boolean} 一致する場合はtrue
+         */
+        matchesDomain: (hostname, pattern) => {
+            const host = hostname.toLowerCase();
+            if (pattern.charAt(0) === '.') {
+                return host === pattern.substring(1) || host.endsWith(pattern);
+            }
+            const escape = (str) => str.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+            const leadingWildcard = pattern.indexOf('*.') === 0;
+            const body = (leadingWildcard ? pattern.substring(2) : pattern).split('*').map(escape).join('[^.]*');
+            return new RegExp(`^${leadingWildcard ? '(?:[^.]+\\.)+' : ''}${body}$`).test(host);
+        },
+
+        /**
+         * パラメータを引き継ぐ連携先のホストかどうかを判定します。
+         * 連携先ドメインが設定されている場合はその一覧に一致するもののみ、
+         * 設定されていない場合はoneAccountCrossDomainクラスで明示された要素のリンク先のみを対象とします。
+         * @param {string} hostname - 判定するホスト名
+         * @param {boolean} explicit - oneAccountCrossDomainクラスで明示された要素の場合はtrue
+         * @returns {boolean} 対象の場合はtrue
+         */
+        isLinkedHost: (hostname, explicit) => {
+            const linkedDomains = CROSS_DOMAIN.getLinkedDomains();
+            if (linkedDomains.length === 0) return explicit === true;
+            return linkedDomains.some(pattern => CROSS_DOMAIN.matchesDomain(hostname, pattern));
+        },
+
+        /**
+         * 連携先ではないため書き換えなかったURLをdebugログに出力します。
+         * @param {string} url - 対象外としたURL
+         */
+        reportSkipped: (url) => {
+            if (CROSS_DOMAIN.skipped.has(url)) return;
+            CROSS_DOMAIN.skipped.add(url);
+            EventLog.emit('decorate:skip', { url: url });
+            logger.debug(`連携先ドメインではないため、oneAccountパラメータを付与しませんでした: ${url}`);
+        },
+
+        /**
+         * oneAccountパラメータ（'oneAccount' または 'oneAccount_<pid>'）の名前かを判定します。
+         * @param {string} name - パラメータ名
+         * @returns {boolean} oneAccountパラメータの場合はtrue
+         */
+        isParamKey: (name) => new RegExp(`^${CROSS_DOMAIN.PARAM_KEY}(?:_${CROSS_DOMAIN.PID_PATTERN})?$`).test(name),
+
+        /**
+         * クロスドメイン連携用の一時Cookie（'ONEACCOUNT_DELIVERY' または 'ONEACCOUNT_DELIVERY_<pid>'）の名前かを判定します。
+         * @param {string} name - Cookie名
+         * @returns {boolean} 一時Cookieの場合はtrue
+         */
+        isCookieKey: (name) => new RegExp(`^${CROSS_DOMAIN.COOKIE_KEY}(?:_${CROSS_DOMAIN.PID_PATTERN})?$`).test(name),
+
+        /**
+         * パラメータ名に対応する一時Cookieの名前を取得します（'oneAccount_<pid>' → 'ONEACCOUNT_DELIVERY_<pid>'）。
+         * @param {string} paramName - パラメータ名
+         * @returns {string} Cookie名
+         */
+        cookieKeyFor: (paramName) => CROSS_DOMAIN.COOKIE_KEY + paramName.substring(CROSS_DOMAIN.PARAM_KEY.length),
+
+        /**
+         * 一時Cookieに保存されている、引き継ぐパラメータの一覧を取得します。
+         * @returns {Array<{name: string, value: string}>} パラメータ名と値の組。保存されていなければ空
+         */
+        getParams: () => CookieUtil.names()
+            .filter(CROSS_DOMAIN.isCookieKey)
+            .map(cookieName => ({ name: CROSS_DOMAIN.PARAM_KEY + cookieName.substring(CROSS_DOMAIN.COOKIE_KEY.length), value: CookieUtil.get(cookieName) }))
+            .filter(param => param.value),
+
+        /**
+         * URLにoneAccountパラメータを付与します。既に付与されているパラメータは変更しません。
+         * @param {string} url - 対象のURL（相対URLも可）
+         * @param {Array<{name: string, value: string}>} params - 付与するパラメータ名と値の組
+         * @param {boolean} [explicit] - oneAccountCrossDomainクラスで明示された要素のURLの場合はtrue
+         * @returns {string|null} パラメータを付与したURL。対象外のURLや、付与するパラメータがない場合はnull
+         */
+        decorateUrl: (url, params, explicit) => {
+            let parsed;
+            try {
+                parsed = new URL(url, window.location.href);
+            } catch (e) {
+                return null;
+            }
+            // http(s)以外、または同一ドメインのURLは対象外
+            if (!/^https?:$/.test(parsed.protocol) || parsed.hostname === window.location.hostname) return null;
+            // 既に付与されているパラメータは対象外。すべて付与済みであれば何もしない
+            const missing = params.filter(param => !parsed.searchParams.has(param.name));
+            if (missing.length === 0) return null;
+            // 連携先ドメイン以外には付与しない
+            if (!CROSS_DOMAIN.isLinkedHost(parsed.hostname, explicit)) {
+                CROSS_DOMAIN.reportSkipped(parsed.href);
+                return null;
+            }
+
+            const href = parsed.href;
             let newHref = href;
             const hashIndex = href.indexOf('#');
             let hash = '';
@@ -135,72 +682,311 @@
             }
 
             // URLに ? があるかどうかに応じて、& または ? を使ってパラメータを結合
-            newHref += (newHref.includes('?') ? '&' : '?') + `${CROSS_DOMAIN.PARAM_KEY}=${oneAccountValue}`;
-            anchor.href = newHref + hash;
+            newHref += (newHref.includes('?') ? '&' : '?') + missing.map(param => `${param.name}=${param.value}`).join('&');
+            return newHref + hash;
+        },
+
+        /**
+         * <a>タグのリンク(href)にoneAccountパラメータを付与します。
+         * @param {HTMLAnchorElement} anchor - 処理対象のaタグ
+         * @param {Array<{name: string, value: string}>} params - 付与するパラメータ名と値の組
+         */
+        updateAnchorHref: (anchor, params) => {
+            // hrefがないリンクは対象外
+            if (!anchor.getAttribute('href')) return;
+            const newHref = CROSS_DOMAIN.decorateUrl(anchor.href, params, anchor.classList.contains(CROSS_DOMAIN.TARGET_CLASS));
+            if (!newHref) return;
+            const oldHref = anchor.href;
+            anchor.href = newHref;
             logger.info(`クロスドメインリンクを更新: ${anchor.href}`);
+            EventLog.emit('link:decorate', { from: oldHref, to: anchor.href, params: params.map(param => param.name) });
         },
 
         /**
          * <form>タグにoneAccountパラメータを送信するためのhidden要素を追加します。
          * @param {HTMLFormElement} form - 処理対象のformタグ
-         * @param {string} oneAccountValue - 設定するoneAccountパラメータの値
-         */
-        addHiddenInputToForm: (form, oneAccountValue) => {
-            // 既にoneAccountパラメータのinput要素がある場合は何もしない
-            if (form.querySelector(`input[name="${CROSS_DOMAIN.PARAM_KEY}"]`)) return;
-            const input = document.createElement('input');
-            input.type = 'hidden';
-            input.name = CROSS_DOMAIN.PARAM_KEY;
-            input.value = oneAccountValue;
-            form.appendChild(input);
+         * @param {Array<{name: string, value: string}>} params - 設定するパラメータ名と値の組
+         */
+        addHiddenInputToForm: (form, params) => {
+            // 既に同じ名前のinput要素があるパラメータは対象外。すべてある場合は何もしない
+            const missing = params.filter(param => !form.querySelector(`input[name="${param.name}"]`));
+            if (missing.length === 0) return;
+            // 送信先が連携先ドメインでなければ何もしない
+            let action;
+            try {
+                action = new URL(form.getAttribute('action') || '', window.location.href);
+            } catch (e) {
+                return;
+            }
+            if (action.hostname === window.location.hostname) return;
+            if (!CROSS_DOMAIN.isLinkedHost(action.hostname, form.classList.contains(CROSS_DOMAIN.TARGET_CLASS))) {
+                CROSS_DOMAIN.reportSkipped(action.href);
+                return;
+            }
+            missing.forEach(param => {
+                const input = document.createElement('input');
+                input.type = 'hidden';
+                input.name = param.name;
+                input.value = param.value;
+                form.appendChild(input);
+            });
             logger.info(`フォームにoneAccountパラメータを追加: ${form.action || 'current page'}`);
+            EventLog.emit('form:decorate', { action: action.href, params: missing.map(param => param.name) });
         },
 
         /**
-         * クロスドメイン処理を初期化し、実行します。
-         * 1. URLからパラメータを取得
-         * 2. あれば一時Cookieに保存
-         * 3. 一時Cookieがあれば、それを使ってページ内のリンクとフォームを書き換え
+         * URLにoneAccountパラメータがあれば、パラメータごとにクロスドメイン連携用の一時Cookieに保存します。
+         * 'oneAccount' は 'ONEACCOUNT_DELIVERY' に、'oneAccount_<pid>' は 'ONEACCOUNT_DELIVERY_<pid>' に保存します。
+         * クリックトークンの場合は、期限切れや別のプログラムのもの（'oneAccount_<pid>' の場合）を保存せず、有効期限を超えて保持しません。
          */
-        init: () => {
-            const params = new URLSearchParams(window.location.search);
-            const oneAccountParamFromUrl = params.get(CROSS_DOMAIN.PARAM_KEY);
-            const rootDomain = getRootDomain();
+        captureParam: () => {
+            if (!Consent.isGranted()) return;
+            new URLSearchParams(window.location.search).forEach((value, name) => {
+                if (!CROSS_DOMAIN.isParamKey(name)) return;
+                const cookieKey = CROSS_DOMAIN.cookieKeyFor(name);
+                // 不正な値や、受け付けられないクリックトークンでないかチェック
+                const pid = name.length > CROSS_DOMAIN.PARAM_KEY.length ? name.substring(CROSS_DOMAIN.PARAM_KEY.length + 1) : null;
+                const rejection = ClickToken.check(value, pid);
+                if (rejection) {
+                    logger.error(`${rejection.message} (${name}, reason=${rejection.reason})`);
+                    EventLog.emit('param:invalid', { name: name, value: value, reason: rejection.reason, message: rejection.message });
+                    return;
+                }
+                if (value !== CookieUtil.get(cookieKey)) {
+                    // 有効期限1日（クリックトークンの有効期限が先に来ればそれまで）でCookieを設定
+                    const token = ClickToken.parse(value);
+                    const days = token ? Math.min(1, (token.acceptedUntil - Date.now()) / (24 * 60 * 60 * 1000)) : 1;
+                    CookieUtil.set(cookieKey, value, days, getRootDomain());
+                    logger.info(`クロスドメイン用Cookieを保存: ${cookieKey}`);
+                    EventLog.emit('param:capture', { name: name, cookie: cookieKey, value: value });
+                }
+            });
+        },
 
-            // 1. URLにoneAccountパラメータがあれば、クロスドメイン連携用の一時Cookieに保存
-            if (oneAccountParamFromUrl) {
-                // 不正な値でないか簡易チェック
-                if (/^[A-Za-z0-9\-_.]+$/.test(oneAccountParamFromUrl)) {
-                    // 有効期限1日でCookieを設定
-                    CookieUtil.set(CROSS_DOMAIN.COOKIE_KEY, oneAccountParamFromUrl, 1, rootDomain);
-                    logger.info(`クロスドメイン用Cookieを保存: ${CROSS_DOMAIN.COOKIE_KEY}`);
+        /**
+         * 書き換え済みのリンクとフォームからoneAccountパラメータを取り除きます。同意が撤回された場合に利用します。
+         */
+        undecorate: () => {
+            Array.from(document.querySelectorAll('a[href]')).forEach(anchor => {
+                let parsed;
+                try {
+                    parsed = new URL(anchor.href);
+                } catch (e) {
+                    return;
                 }
-            }
+                const names = Array.from(parsed.searchParams.keys()).filter(CROSS_DOMAIN.isParamKey);
+                if (names.length === 0) return;
+                names.forEach(name => parsed.searchParams.delete(name));
+                anchor.href = parsed.href;
+            });
+            Array.from(document.querySelectorAll('form input[type="hidden"]'))
+                .filter(input => CROSS_DOMAIN.isParamKey(input.name))
+                .forEach(input => input.remove());
+        },
 
-            // 2. 一時Cookieが存在する場合のみ、リンクとフォームの書き換え処理を実行
-            const oneAccountValueFromCookie = CookieUtil.get(CROSS_DOMAIN.COOKIE_KEY);
-            if (!oneAccountValueFromCookie) return; // Cookieがなければここで処理終了
+        /**
+         * 書き換え対象の要素かどうかを判定します。
+         * oneAccountCrossDomainクラスが指定された要素がページ内にあればそれだけを対象とし、なければ全対象タグを対象とします。
+         * @param {Element} el - 判定する要素
+         * @returns {boolean} 対象の場合はtrue
+         */
+        isTarget: (el) => {
+            if (!el || !el.tagName || !CROSS_DOMAIN.TARGET_TAGS.includes(el.tagName.toLowerCase())) return false;
+            if (document.querySelector(`.${CROSS_DOMAIN.TARGET_CLASS}`)) {
+                return el.classList.contains(CROSS_DOMAIN.TARGET_CLASS);
+            }
+            return true;
+        },
 
-            // 3. 書き換え対象の要素を決定
-            // oneAccountCrossDomainクラスが指定された要素があればそれを優先、なければページ内の全対象タグを取得
-            let targetElements = Array.from(document.querySelectorAll(`.${CROSS_DOMAIN.TARGET_CLASS}`));
-            if (targetElements.length === 0) {
-                targetElements = Array.from(document.querySelectorAll(CROSS_DOMAIN.TARGET_TAGS.join(',')));
+        /**
+         * 要素のタグに応じた書き換え処理を実行します。
+         * @param {Element} el - 処理対象の要素
+         * @param {Array<{name: string, value: string}>} params - 付与するパラメータ名と値の組
+         */
+        decorate: (el, params) => {
+            const tagName = el.tagName.toLowerCase();
+            if (tagName === 'a') {
+                CROSS_DOMAIN.updateAnchorHref(el, params);
+            } else if (tagName === 'form') {
+                CROSS_DOMAIN.addHiddenInputToForm(el, params);
             }
+        },
+
+        /**
+         * 指定した要素とその子孫のうち、書き換え対象の要素をすべて書き換えます。
+         * @param {Element|Document} root - 探索の起点
+         */
+        decorateTree: (root) => {
+            const params = CROSS_DOMAIN.getParams();
+            if (params.length === 0) return;
+            const candidates = Array.from(root.querySelectorAll ? root.querySelectorAll(CROSS_DOMAIN.TARGET_TAGS.join(',')) : []);
+            if (root.tagName) candidates.unshift(root);
+            candidates.filter(CROSS_DOMAIN.isTarget).forEach(el => CROSS_DOMAIN.decorate(el, params));
+        },
 
-            // 4. 対象要素をループして、タグに応じた書き換え処理を実行
-            targetElements.forEach(el => {
-                const tagName = el.tagName.toLowerCase();
-                if (tagName === 'a') {
-                    CROSS_DOMAIN.updateAnchorHref(el, oneAccountValueFromCookie);
-                } else if (tagName === 'form') {
-                    CROSS_DOMAIN.addHiddenInputToForm(el, oneAccountValueFromCookie);
+        /**
+         * クリック・送信時に対象の要素を書き換えます。
+         * 描画後にhrefが差し替えられた場合や、監視をすり抜けた要素でもパラメータが引き継がれるようにします。
+         * @param {Event} event - click/submitイベント
+         */
+        handleEvent: (event) => {
+            const params = CROSS_DOMAIN.getParams();
+            if (params.length === 0 || !event.target || !event.target.closest) return;
+            const el = event.target.closest(event.type === 'submit' ? 'form' : 'a');
+            if (CROSS_DOMAIN.isTarget(el)) CROSS_DOMAIN.decorate(el, params);
+        },
+
+        /**
+         * History APIによる画面遷移後に、URLのパラメータの取得とページ内の書き換えをやり直します。
+         */
+        handleNavigation: () => {
+            if (!Consent.isGranted()) return;
+            CROSS_DOMAIN.captureParam();
+            CROSS_DOMAIN.observe();
+            // ルーターによる描画を待ってから書き換える
+            setTimeout(() => CROSS_DOMAIN.decorateTree(document), 0);
+        },
+
+        /**
+         * History APIの呼び出しを検知できるよう、pushState/replaceStateをラップします。
+         */
+        hookHistory: () => {
+            ['pushState', 'replaceState'].forEach(method => {
+                const original = window.history[method];
+                if (typeof original !== 'function') return;
+                window.history[method] = function() {
+                    const result = original.apply(this, arguments);
+                    CROSS_DOMAIN.handleNavigation();
+                    return result;
+                };
+            });
+            window.addEventListener('popstate', CROSS_DOMAIN.handleNavigation);
+        },
+
+        /**
+         * window.open による遷移にoneAccountパラメータを付与します。
+         * location.assign/replace や location.href への代入はブラウザが置き換えを許可しないため対象外です。
+         * プログラムから遷移する場合は `window.oneAccountCrossDomain.decorateUrl(url)` で変換したURLを利用してください。
+         */
+        hookNavigationApis: () => {
+            const decorateArg = (url) => {
+                const params = CROSS_DOMAIN.getParams();
+                const newUrl = params.length > 0 && (typeof url === 'string' || url instanceof URL) ? CROSS_DOMAIN.decorateUrl(String(url), params) : null;
+                if (newUrl) {
+                    logger.info(`遷移先URLを更新: ${newUrl}`);
+                    EventLog.emit('navigation:decorate', { from: String(url), to: newUrl });
                 }
+                return newUrl || url;
+            };
+
+            const originalOpen = window.open;
+            if (typeof originalOpen === 'function') {
+                window.open = function(url) {
+                    const args = Array.prototype.slice.call(arguments);
+                    if (args.length > 0) args[0] = decorateArg(url);
+                    return originalOpen.apply(this, args);
+                };
+            }
+        },
+
+        /**
+         * 動的に追加された要素の監視と、クリック・送信時の書き換えを開始します。
+         * 一時Cookieが存在する場合のみ開始し、二重には登録しません。
+         */
+        observe: () => {
+            if (CROSS_DOMAIN.observing || CROSS_DOMAIN.getParams().length === 0) return;
+            CROSS_DOMAIN.observing = true;
+
+            document.addEventListener('click', CROSS_DOMAIN.handleEvent, true);
+            document.addEventListener('auxclick', CROSS_DOMAIN.handleEvent, true);
+            document.addEventListener('submit', CROSS_DOMAIN.handleEvent, true);
+
+            if (typeof window.MutationObserver !== 'function') return;
+            const observer = CROSS_DOMAIN.observer = new MutationObserver(mutations => {
+                mutations.forEach(mutation => {
+                    if (mutation.type === 'attributes') {
+                        CROSS_DOMAIN.decorateTree(mutation.target);
+                        return;
+                    }
+                    mutation.addedNodes.forEach(node => {
+                        if (node.nodeType === 1) CROSS_DOMAIN.decorateTree(node);
+                    });
+                });
             });
+            observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, attributeFilter: ['href', 'class'] });
+        },
+
+        /**
+         * 要素の監視と、クリック・送信時の書き換えを停止します。同意が撤回された場合に利用します。
+         * History APIと window.open のラップは残りますが、同意が得られていない間は何もしません。
+         */
+        stop: () => {
+            CROSS_DOMAIN.stopped = true;
+            if (!CROSS_DOMAIN.observing) return;
+            CROSS_DOMAIN.observing = false;
+            document.removeEventListener('click', CROSS_DOMAIN.handleEvent, true);
+            document.removeEventListener('auxclick', CROSS_DOMAIN.handleEvent, true);
+            document.removeEventListener('submit', CROSS_DOMAIN.handleEvent, true);
+            if (CROSS_DOMAIN.observer) {
+                CROSS_DOMAIN.observer.disconnect();
+                CROSS_DOMAIN.observer = null;
+            }
+        },
+
+        /**
+         * 同意の撤回により停止していた処理を、再び同意が得られた時点で再開します。
+         */
+        resume: () => {
+            if (!CROSS_DOMAIN.stopped) return;
+            CROSS_DOMAIN.stopped = false;
+            CROSS_DOMAIN.handleNavigation();
+        },
+
+        /**
+         * クロスドメイン処理を初期化し、実行します。
+         * 1. URLからパラメータを取得
+         * 2. あれば一時Cookieに保存
+         * 3. 一時Cookieがあれば、それを使ってページ内のリンクとフォームを書き換え
+         * 4. 以降に追加された要素や画面遷移にも追従するよう監視を開始
+         */
+        init: () => {
+            CROSS_DOMAIN.captureParam();
+            CROSS_DOMAIN.decorateTree(document);
+            CROSS_DOMAIN.observe();
+            CROSS_DOMAIN.hookHistory();
+            CROSS_DOMAIN.hookNavigationApis();
+        }
+    };
+
+    // プログラムから遷移する場合に利用できるよう、URLの変換処理を公開します。
+    window.oneAccountCrossDomain = {
+        /**
+         * 対象のURLに、保存されているoneAccountパラメータ（プログラムごとのパラメータを含む）を付与します。
+         * @param {string} url - 遷移先URL
+         * @returns {string} パラメータを付与したURL。対象外の場合は元のURL
+         */
+        decorateUrl: (url) => {
+            const params = CROSS_DOMAIN.getParams();
+            return (params.length > 0 && CROSS_DOMAIN.decorateUrl(url, params)) || url;
         }
     };
 
-    // ページの全リソース（画像など）が読み込み完了した時点で、クロスドメイン処理を実行します。
-    window.addEventListener('load', CROSS_DOMAIN.init);
+    if (TestMode.isEnabled()) {
+        logger.info('テストモードで動作しています。Cookieの削除は行わず、OneAccountTracking.jsがあればwindow.oneAccountTestに記録します。');
+    }
+
+    // 同意状態を取得し、変更の監視を開始します。
+    Consent.init();
+
+    // DOMの構築が完了した時点で、クロスドメイン処理を実行します（同意モードが有効な場合は同意が得られてから）。
+    const start = () => {
+        if (TestMode.isEnabled()) TestMode.showMarker();
+        Consent.whenGranted(() => TestMode.track('クロスドメイン処理', CROSS_DOMAIN.init), 'リンク・フォームの書き換え');
+    };
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start);
+    } else {
+        start();
+    }
 
 })(window, document);
\ No newline at end of file
@@ -0,0 +1,431 @@
+/**
+ * OneAccountInspector.js - OneAccount Tracking Inspector
+ *
+ * このスクリプトは、OneAccountTracking.jsとOneAccountCrossDomain.jsの動作を確認するための画面（インスペクター）を提供します。
+ * 各スクリプトが発行する `oneaccount:event` イベント（Cookieの保存・削除、リンク・フォームの書き換え、入力の検証エラー、
+ * 成果通知の送信結果など）を時系列で表示し、絞り込みやJSON形式でのコピー（問い合わせ用）を行えます。
+ *
+ * 次のいずれかを指定した場合のみ表示します。
+ * - URLパラメータ `oneAccountInspector=1`（同じタブではページを移動しても表示を続けます。`oneAccountInspector=0` で解除）
+ * - このスクリプトのscriptタグの `data-oneaccountinspector="1"` 属性、または `window.oneAccountConfig.inspector = true`
+ *
+ * @version 1.2.1 (separated)
+ */
+(function(window, document) {
+    // 'use strict'モードを有効にし、より厳格なエラーチェックを行います。
+    'use strict';
+
+    // 購読するイベント名（OneAccountTracking.jsとOneAccountCrossDomain.jsで共通）
+    const EVENT_NAME = 'oneaccount:event';
+    // 有効・無効を切り替えるURLパラメータ名
+    const QUERY_KEY = 'oneAccountInspector';
+    // URLパラメータで有効にした状態を保持するsessionStorageのキー
+    const SESSION_KEY = 'oneAccountInspector';
+    // 保持するイベントの最大数
+    const MAX_EVENTS = 500;
+    // 表示する要素のID
+    const ROOT_ID = 'oneaccount-inspector';
+
+    // このスクリプトを読み込んでいるscriptタグ
+    const scriptTag = document.querySelector('script[src*="OneAccountInspector.js"]');
+
+    /**
+     * 設定値を取得します。
+     * `window.oneAccountConfig` に同名のプロパティがあればそれを優先し、
+     * なければscriptタグの `data-oneaccount<小文字のキー名>` 属性（例: inspector → data-oneaccountinspector）を参照します。
+     * @param {string} key - 設定キー名
+     * @param {*} defaultValue - 設定されていない場合の値
+     * @returns {*} 設定値
+     */
+    const getOption = (key, defaultValue) => {
+        const config = window.oneAccountConfig;
+        if (config && typeof config === 'object' && config[key] !== undefined) return config[key];
+        const attr = scriptTag ? scriptTag.dataset[`oneaccount${key.toLowerCase()}`] : undefined;
+        return attr !== undefined ? attr : defaultValue;
+    };
+
+    /**
+     * インスペクターを表示するかを判定します。
+     * URLパラメータで指定された場合は、その状態をsessionStorageに保存します。
+     * @returns {boolean} 表示する場合はtrue
+     */
+    const isEnabled = () => {
+        const option = getOption('inspector', false);
+        if (option === true || option === '1' || option === 'true') return true;
+        const flag = new URLSearchParams(window.location.search).get(QUERY_KEY);
+        try {
+            if (flag === '1') window.sessionStorage.setItem(SESSION_KEY, '1');
+            if (flag === '0') window.sessionStorage.removeItem(SESSION_KEY);
+            return window.sessionStorage.getItem(SESSION_KEY) === '1';
+        } catch (e) {
+            return flag === '1';
+        }
+    };
+
+    if (!isEnabled()) return;
+
+    // 計測スクリプトは保持先がある場合にイベントを保持するため、先に読み込まれた場合に備えて用意しておく
+    if (!Array.isArray(window.oneAccountEvents)) window.oneAccountEvents = [];
+
+    /**
+     * 受信したイベントを保持し、絞り込み条件に応じて一覧を表示するオブジェクトです。
+     * 表示する値はすべてtextContentで設定し、HTMLとして解釈しません。
+     */
+    const Inspector = {
+        // 受信したイベント
+        events: [],
+        // 絞り込み条件
+        filter: { text: '', category: '', errorsOnly: false },
+        // 画面の要素
+        elements: null,
+
+        /**
+         * イベントの分類（'cookie:set' → 'cookie'）を取得します。
+         * @param {{type: string}} event - イベント
+         * @returns {string} 分類
+         */
+        categoryOf: (event) => String(event.type).split(':')[0],
+
+        /**
+         * 問題を表すイベントかを判定します。
+         * @param {{type: string, detail: object}} event - イベント
+         * @returns {boolean} 検証エラーや送信失敗の場合はtrue
+         */
+        isError: (event) => event.type === 'sales:error' || event.type === 'param:invalid' || event.type === 'click:rejected' || (event.type === 'beacon' && event.detail.status !== 'sent'),
+
+        /**
+         * イベントの概要を1行の文字列にします。
+         * @param {{type: string, detail: object}} event - イベント
+         * @returns {string} 概要
+         */
+        summarize: (event) => {
+            const detail = event.detail || {};
+            switch (event.type) {
+                case 'page:load': return detail.url;
+                case 'cookie:set': return `${detail.name}（${Math.round(detail.days * 100) / 100}日, domain=${detail.domain}）`;
+                case 'cookie:delete': return `${detail.name}${detail.domain ? `（domain=${detail.domain}）` : ''}${detail.skipped ? ' ※テストモードのため削除せず' : ''}`;
+                case 'cookie:sync': return `${detail.name} → ${detail.url}`;
+                case 'consent:update': return detail.state;
+                case 'param:capture': return `${detail.name} → ${detail.cookie}`;
+                case 'param:invalid': return `${detail.name} の値が不正です${detail.reason ? `（${detail.reason}）` : ''}`;
+                case 'click:rejected': return `${detail.pid}: ${detail.reason}（${detail.source === 'url' ? 'URLパラメータ' : '一時Cookie'}）`;
+                case 'link:decorate':
+                case 'navigation:decorate': return detail.to;
+                case 'form:decorate': return `${detail.action}（${(detail.params || []).join(', ')}）`;
+                case 'decorate:skip': return `連携先外: ${detail.url}`;
+                case 'sales:result': return `${detail.label}: ${detail.status}`;
+                case 'sales:error': return `${detail.label}: ${detail.code}${detail.fields && detail.fields.length > 0 ? `（${detail.fields.join(', ')}）` : ''}`;
+                case 'beacon': return `${detail.status}${detail.transport ? `/${detail.transport}` : ''}${detail.retry ? '（再送）' : ''} ${detail.httpMethod} ${detail.endpoint}`;
+                default: return '';
+            }
+        },
+
+        /**
+         * イベントが絞り込み条件に一致するかを判定します。
+         * @param {object} event - イベント
+         * @returns {boolean} 一致する場合はtrue
+         */
+        matches: (event) => {
+            const filter = Inspector.filter;
+            if (filter.category && Inspector.categoryOf(event) !== filter.category) return false;
+            if (filter.errorsOnly && !Inspector.isError(event)) return false;
+            if (!filter.text) return true;
+            return JSON.stringify(event).toLowerCase().indexOf(filter.text.toLowerCase()) !== -1;
+        },
+
+        /**
+         * 要素を生成します。
+         * @param {string} tagName - タグ名
+         * @param {string} [className] - クラス名
+         * @param {string} [text] - 表示する文字列
+         * @returns {HTMLElement} 生成した要素
+         */
+        create: (tagName, className, text) => {
+            const el = document.createElement(tagName);
+            if (className) el.className = className;
+            if (text !== undefined) el.textContent = text;
+            return el;
+        },
+
+        /**
+         * 時刻を 'HH:MM:SS.mmm' の形式にします。
+         * @param {number} time - ミリ秒
+         * @returns {string} 時刻
+         */
+        formatTime: (time) => {
+            const date = new Date(time);
+            const pad = (value, length) => String(value).padStart(length, '0');
+            return `${pad(date.getHours(), 2)}:${pad(date.getMinutes(), 2)}:${pad(date.getSeconds(), 2)}.${pad(date.getMilliseconds(), 3)}`;
+        },
+
+        /**
+         * イベント1件分の行を生成します。行をクリックすると内容の詳細を開閉します。
+         * @param {object} event - イベント
+         * @returns {HTMLElement} 行の要素
+         */
+        renderRow: (event) => {
+            const row = Inspector.create('li', Inspector.isError(event) ? 'oai-row oai-error' : 'oai-row');
+            const line = Inspector.create('div', 'oai-line');
+            line.appendChild(Inspector.create('span', 'oai-time', Inspector.formatTime(event.time)));
+            line.appendChild(Inspector.create('span', 'oai-source', String(event.source).replace(/^OneAccount/, '')));
+            line.appendChild(Inspector.create('span', 'oai-type', event.type));
+            line.appendChild(Inspector.create('span', 'oai-summary', Inspector.summarize(event)));
+            row.appendChild(line);
+            line.addEventListener('click', () => {
+                const opened = row.querySelector('pre');
+                if (opened) {
+                    opened.remove();
+                } else {
+                    row.appendChild(Inspector.create('pre', 'oai-detail', JSON.stringify(event.detail, null, 2)));
+                }
+            });
+            return row;
+        },
+
+        /**
+         * 分類の選択肢に、まだないものを追加します。
+         * @param {object} event - イベント
+         */
+        addCategory: (event) => {
+            const category = Inspector.categoryOf(event);
+            const select = Inspector.elements.category;
+            if (Array.from(select.options).some(option => option.value === category)) return;
+            select.appendChild(Object.assign(Inspector.create('option', null, category), { value: category }));
+        },
+
+        /**
+         * 一覧を絞り込み条件に従って表示し直します。
+         */
+        render: () => {
+            const list = Inspector.elements.list;
+            while (list.firstChild) list.removeChild(list.firstChild);
+            const visible = Inspector.events.filter(Inspector.matches);
+            visible.forEach(event => list.appendChild(Inspector.renderRow(event)));
+            Inspector.elements.count.textContent = `${visible.length} / ${Inspector.events.length}`;
+        },
+
+        /**
+         * イベントを受信します。
+         * @param {object} event - イベント
+         */
+        add: (event) => {
+            if (!event || typeof event !== 'object' || typeof event.type !== 'string') return;
+            Inspector.events.push(event);
+            if (Inspector.events.length > MAX_EVENTS) {
+                Inspector.events.splice(0, Inspector.events.length - MAX_EVENTS);
+                Inspector.render();
+            } else if (Inspector.matches(event)) {
+                Inspector.elements.list.appendChild(Inspector.renderRow(event));
+            }
+            Inspector.addCategory(event);
+            Inspector.elements.count.textContent = `${Inspector.events.filter(Inspector.matches).length} / ${Inspector.events.length}`;
+        },
+
+        /**
+         * 表示中のイベントを、問い合わせに添付できるJSON文字列にします。
+         * @returns {string} JSON文字列
+         */
+        toJson: () => JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            page: window.location.href,
+            userAgent: navigator.userAgent,
+            filter: Inspector.filter,
+            events: Inspector.events.filter(Inspector.matches)
+        }, null, 2),
+
+        /**
+         * 表示中のイベントをJSON形式でクリップボードにコピーします。
+         * Clipboard APIが利用できない場合は、選択状態のテキストエリアを経由してコピーします。
+         */
+        copy: () => {
+            const json = Inspector.toJson();
+            const button = Inspector.elements.copy;
+            const done = (message) => {
+                button.textContent = message;
+                setTimeout(() => { button.textContent = 'JSONをコピー'; }, 1500);
+            };
+            const fallback = () => {
+                const textarea = Inspector.create('textarea');
+                textarea.value = json;
+                textarea.style.position = 'fixed';
+                textarea.style.opacity = '0';
+                document.body.appendChild(textarea);
+                textarea.select();
+                let copied = false;
+                try {
+                    copied = document.execCommand('copy');
+                } catch (e) {
+                    copied = false;
+                }
+                textarea.remove();
+                done(copied ? 'コピーしました' : 'コピーできません');
+            };
+            if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+                navigator.clipboard.writeText(json).then(() => done('コピーしました'), fallback);
+            } else {
+                fallback();
+            }
+        },
+
+        /**
+         * 表示を開始した時点のURLパラメータとCookieを、イベントとして記録します。
+         * @returns {object} イベント
+         */
+        snapshot: () => {
+            const params = {};
+            new URLSearchParams(window.location.search).forEach((value, key) => { params[key] = value; });
+            const cookies = {};
+            document.cookie.split(';').map(c => c.trim()).filter(Boolean).forEach(c => {
+                const index = c.indexOf('=');
+                cookies[index === -1 ? c : c.substring(0, index)] = index === -1 ? '' : c.substring(index + 1);
+            });
+            return { source: 'OneAccountInspector', type: 'page:load', time: Date.now(), detail: { url: window.location.href, params: params, cookies: cookies } };
+        },
+
+        /**
+         * 表示用のスタイルを追加します。
+         */
+        addStyle: () => {
+            const style = document.createElement('style');
+            style.textContent = `
+                #${ROOT_ID} {
+                    position: fixed;
+                    right: 10px;
+                    bottom: 10px;
+                    width: 560px;
+                    max-width: calc(100vw - 20px);
+                    max-height: 60vh;
+                    display: flex;
+                    flex-direction: column;
+                    background-color: rgba(255, 255, 255, 0.97);
+                    border: 2px solid #f0ad4e;
+                    border-radius: 8px;
+                    font-family: monospace;
+                    font-size: 12px;
+                    color: #222;
+                    z-index: 2147483647;
+                    box-shadow: 0 4px 8px rgba(0,0,0,0.2);
+                }
+                #${ROOT_ID} .oai-header, #${ROOT_ID} .oai-toolbar {
+                    display: flex;
+                    gap: 6px;
+                    align-items: center;
+                    padding: 6px 8px;
+                    border-bottom: 1px solid #ddd;
+                }
+                #${ROOT_ID} .oai-title {
+                    flex: 1;
+                    font-weight: bold;
+                    font-size: 14px;
+                }
+                #${ROOT_ID} .oai-text { flex: 1; min-width: 0; }
+                #${ROOT_ID} .oai-list {
+                    flex: 1;
+                    overflow-y: auto;
+                    margin: 0;
+                    padding: 0;
+                    list-style: none;
+                }
+                #${ROOT_ID}.oai-minimized .oai-toolbar, #${ROOT_ID}.oai-minimized .oai-list { display: none; }
+                #${ROOT_ID} .oai-row { border-bottom: 1px solid #eee; }
+                #${ROOT_ID} .oai-error { background-color: #fdecea; }
+                #${ROOT_ID} .oai-line {
+                    display: flex;
+                    gap: 6px;
+                    padding: 3px 8px;
+                    cursor: pointer;
+                    word-break: break-all;
+                }
+                #${ROOT_ID} .oai-time, #${ROOT_ID} .oai-source { color: #888; white-space: nowrap; }
+                #${ROOT_ID} .oai-type { font-weight: bold; white-space: nowrap; }
+                #${ROOT_ID} .oai-detail {
+                    margin: 0;
+                    padding: 4px 8px 6px 24px;
+                    white-space: pre-wrap;
+                    word-break: break-all;
+                    background-color: #f7f7f7;
+                }
+            `;
+            document.head.appendChild(style);
+        },
+
+        /**
+         * インスペクターの画面を生成します。
+         */
+        build: () => {
+            const root = Inspector.create('div');
+            root.id = ROOT_ID;
+
+            const header = Inspector.create('div', 'oai-header');
+            header.appendChild(Inspector.create('span', 'oai-title', 'OneAccount Inspector'));
+            const count = Inspector.create('span', 'oai-count', '0 / 0');
+            const copy = Inspector.create('button', null, 'JSONをコピー');
+            const clear = Inspector.create('button', null, 'クリア');
+            const minimize = Inspector.create('button', null, '－');
+            [count, copy, clear, minimize].forEach(el => header.appendChild(el));
+
+            const toolbar = Inspector.create('div', 'oai-toolbar');
+            const text = Inspector.create('input', 'oai-text');
+            text.type = 'search';
+            text.placeholder = '絞り込み（Cookie名、URL、エラーコードなど）';
+            const category = Inspector.create('select');
+            category.appendChild(Object.assign(Inspector.create('option', null, 'すべての種類'), { value: '' }));
+            const errorsLabel = Inspector.create('label');
+            const errorsOnly = Inspector.create('input');
+            errorsOnly.type = 'checkbox';
+            errorsLabel.appendChild(errorsOnly);
+            errorsLabel.appendChild(document.createTextNode('問題のみ'));
+            [text, category, errorsLabel].forEach(el => toolbar.appendChild(el));
+
+            const list = Inspector.create('ul', 'oai-list');
+            [header, toolbar, list].forEach(el => root.appendChild(el));
+
+            text.addEventListener('input', () => {
+                Inspector.filter.text = text.value;
+                Inspector.render();
+            });
+            category.addEventListener('change', () => {
+                Inspector.filter.category = category.value;
+                Inspector.render();
+            });
+            errorsOnly.addEventListener('change', () => {
+                Inspector.filter.errorsOnly = errorsOnly.checked;
+                Inspector.render();
+            });
+            copy.addEventListener('click', Inspector.copy);
+            clear.addEventListener('click', () => {
+                Inspector.events = [];
+                Inspector.render();
+            });
+            minimize.addEventListener('click', () => {
+                const minimized = root.classList.toggle('oai-minimized');
+                minimize.textContent = minimized ? '＋' : '－';
+            });
+
+            Inspector.elements = { root: root, list: list, count: count, copy: copy, category: category };
+        },
+
+        /**
+         * 画面を表示し、イベントの受信を開始します。
+         * 計測スクリプトが先に読み込まれていた場合に備え、`window.oneAccountEvents` に保持されているイベントも時系列に並べて表示します。
+         */
+        init: () => {
+            Inspector.addStyle();
+            Inspector.build();
+            (Array.isArray(window.oneAccountEvents) ? window.oneAccountEvents : [])
+                .concat([Inspector.snapshot()])
+                .sort((a, b) => a.time - b.time)
+                .forEach(Inspector.add);
+            window.addEventListener(EVENT_NAME, (event) => Inspector.add(event.detail));
+            document.body.appendChild(Inspector.elements.root);
+        }
+    };
+
+    // bodyが利用できるようになった時点で表示します。
+    if (document.body) {
+        Inspector.init();
+    } else {
+        document.addEventListener('DOMContentLoaded', Inspector.init);
+    }
+
+})(window, document);
\ No newline at end of file
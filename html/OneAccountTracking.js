@@ -13,13 +13,61 @@
     // OneAccountの成果計測サーバーURL（実際のものに置き換えてください）
     const ONEACCOUNT_SALES_SERVER_URL = 'https://px.oneaccount.net/oneaccountfly/sales';
 
+    // クロスドメイン連携用の一時Cookieのキー名（OneAccountCrossDomain.jsが保存。プログラムごとの場合は末尾に '_<pid>' が付く）
+    const DELIVERY_COOKIE_KEY = 'ONEACCOUNT_DELIVERY';
+    // クリック識別子を保存する期間（日数）のデフォルト値
+    const DEFAULT_ATTRIBUTION_DAYS = 3653; // 3653日(約10年)
+    // プログラムごとに保持するクリック履歴の件数のデフォルト値
+    const DEFAULT_CLICK_HISTORY_SIZE = 5;
+    // クリック履歴を保存するCookieの値の最大長（ブラウザの上限4096byteに余裕を持たせる）
+    const CLICK_HISTORY_MAX_LENGTH = 3800;
+    // 署名付きクリックトークンの形式のバージョン（トークンの先頭に付与される）
+    const CLICK_TOKEN_VERSION = 'oa1';
+    // 端末の時計のずれを考慮し、クリックトークンの有効期限切れの判定に加える猶予（秒）。厳密な判定は成果計測サーバーが行う
+    const CLICK_TOKEN_CLOCK_TOLERANCE_SECONDS = 24 * 60 * 60;
+    // 利用できるアトリビューションモデル
+    const ATTRIBUTION_MODELS = ['last_click', 'first_click', 'last_click_within'];
+
+    // 送信に失敗した成果通知を保持するlocalStorageのキー名
+    const RETRY_QUEUE_KEY = '_oneAccount_retry_queue';
+    // リトライキューに保持する最大件数
+    const RETRY_QUEUE_MAX_ITEMS = 20;
+    // 1件あたりの最大リトライ回数
+    const RETRY_MAX_ATTEMPTS = 5;
+    // リトライキューの保持期間（日数）
+    const RETRY_QUEUE_TTL_DAYS = 7;
+    // イメージビーコンの応答を待つ最大時間（ミリ秒）
+    const IMAGE_BEACON_TIMEOUT_MS = 10000;
+    // sendBeacon・keepalive付きfetchで送信する本文の最大バイト数（ブラウザの上限64KBに余裕を持たせる）
+    const KEEPALIVE_MAX_BODY_BYTES = 60 * 1024;
+
+    // 成果通知の種類（成果・キャンセル・修正）
+    const ORDER_ACTIONS = ['sale', 'cancel', 'amend'];
+    // ポストバックURLのテンプレートで利用できる成果データの項目
+    const POSTBACK_PAYLOAD_FIELDS = ['action', 'reason', 'pid', 'click_id', 'order_number', 'currency', 'total_price', 'total_price_jpy', 'coupon', 'repeat', 'item_count', 'attribution_model', 'click_age', 'batch_id', 'batch_index', 'batch_count'];
+    // ポストバックの商品単位パラメータで利用できる項目（coupon は商品ごとのクーポンコードを指す）
+    const POSTBACK_ITEM_FIELDS = ['index', 'code', 'name', 'category', 'price', 'quantity', 'discount', 'tax', 'coupon'];
+    // 成果通知URLの最大長のデフォルト値。超える場合は `largePayload` の方式で送信する
+    const DEFAULT_MAX_URL_LENGTH = 2000;
+    // URLが長すぎる場合の送信方式（'post': POSTの本文で送信 / 'chunk': 商品を分割して複数回送信 / 'none': そのまま送信）
+    const LARGE_PAYLOAD_MODES = ['post', 'chunk', 'none'];
+
+    // 送信済みの注文を記録するlocalStorageのキー名
+    const SENT_ORDERS_KEY = '_oneAccount_sent_orders';
+    // 送信済みの注文を記録する最大件数
+    const SENT_ORDERS_MAX_ITEMS = 200;
+    // 送信済みの注文を保持する期間（日数）のデフォルト値
+    const DEFAULT_DEDUP_DAYS = 30;
+
+    // このスクリプトを読み込んでいるscriptタグ
+    const scriptTag = document.querySelector('script[src*="oneAccountSales.js"], script[src*="SampleTrackingScript.js"], script[src*="OneAccountTracking.js"]');
+
     /**
      * ログ出力を制御するロガーオブジェクトを取得します。
      * scriptタグに `data-oneaccountstoplog="1"` がある場合、ログ出力を停止します。
      * @returns {{info: Function, error: Function}} ログ出力用の関数を持つオブジェクト
      */
     const getLogger = () => {
-        const scriptTag = document.querySelector('script[src*="oneAccountSales.js"], script[src*="SampleTrackingScript.js"], script[src*="OneAccountTracking.js"]');
         const stopLog = scriptTag && scriptTag.dataset.oneaccountstoplog === '1'; // htmlのScriptタグにdata-oneaccountstoplog="1"が定義されていたらログ出力なし
         return {
             info: (message) => !stopLog && console.info(`[oneAccountSales] ${message}`),
@@ -31,8 +79,360 @@
     const logger = getLogger();
 
     /**
-     * 現在のホスト名からルートドメインを取得します。
-     * 'co.jp'のようなセカンドレベルドメイン(SLD)を考慮し、正しくルートドメインを判定します。
+     * 設定値を取得します。
+     * `window.oneAccountConfig` に同名のプロパティがあればそれを優先し、
+     * なければscriptタグの `data-oneaccount<小文字のキー名>` 属性（例: dedupDays → data-oneaccountdedupdays）を参照します。
+     * 呼び出し時点の値を返すため、スクリプト読み込み後に設定を変更することもできます。
+     * @param {string} key - 設定キー名
+     * @param {*} defaultValue - 設定されていない場合の値
+     * @returns {*} 設定値
+     */
+    const getOption = (key, defaultValue) => {
+        const config = window.oneAccountConfig;
+        if (config && typeof config === 'object' && config[key] !== undefined) return config[key];
+        const attr = scriptTag ? scriptTag.dataset[`oneaccount${key.toLowerCase()}`] : undefined;
+        return attr !== undefined ? attr : defaultValue;
+    };
+
+    /**
+     * 数値の設定値を取得します。数値として解釈できない場合はデフォルト値を返します。
+     * @param {string} key - 設定キー名
+     * @param {number} defaultValue - 設定されていない、または不正な場合の値
+     * @returns {number} 設定値
+     */
+    const getNumberOption = (key, defaultValue) => {
+        const value = Number(getOption(key, defaultValue));
+        return Number.isFinite(value) && value >= 0 ? value : defaultValue;
+    };
+
+    // 不正な値のエラーを出力済みの日数の設定キー
+    const invalidDaysOptions = new Set();
+
+    /**
+     * 日数の設定値を取得します。0以下や数値として解釈できない値は、エラーを出力してデフォルト値を返します。
+     * @param {string} key - 設定キー名
+     * @param {number} defaultValue - 設定されていない、または不正な場合の値
+     * @returns {number} 設定値（0より大きい値）
+     */
+    const getDaysOption = (key, defaultValue) => {
+        const option = getOption(key, undefined);
+        if (option === undefined) return defaultValue;
+        const value = Number(option);
+        if (Number.isFinite(value) && value > 0) return value;
+        if (!invalidDaysOptions.has(key)) {
+            invalidDaysOptions.add(key);
+            logger.error(`${key}(${option})は0より大きい日数を指定してください。デフォルト値(${defaultValue})を利用します。`);
+        }
+        return defaultValue;
+    };
+
+    /**
+     * 文字列から短いハッシュ値を生成します（FNV-1a 32bit）。
+     * @param {string} str - ハッシュ化する文字列
+     * @returns {string} 36進数表記のハッシュ値
+     */
+    const hashString = (str) => {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(36);
+    };
+
+    /**
+     * テストモードを管理するオブジェクトです。次のいずれかを指定した場合に有効になります。
+     * - `testMode`（data-oneaccounttestmode="1"、または `window.oneAccountConfig.testMode = true`）
+     * - URLパラメータ `oneAccountTest=1`（`testModeAllowUrl` を指定したサイトのみ。同じタブではページを移動しても有効なままです。`oneAccountTest=0` で解除）
+     * URLパラメータだけで有効にできると、共有されたURLや広告のURLから実際の成果が計上されなくなるため、サイト側での許可を必須にしています。
+     *
+     * テストモードでは成果計測をすべて実行しますが、通信とCookieの削除は行わず、画面の左下にテストモードであることを表示します。
+     * 代わりに、送信するはずだったリクエストやCookieの操作を `window.oneAccountTest` に実行ごとに記録します（最新の実行は `lastRun`）。
+     * 記録はこのスクリプトが行い、OneAccountCrossDomain.jsは `window.oneAccountTest.track` を通じて処理を記録します。
+     */
+    const TestMode = {
+        // 有効・無効を切り替えるURLパラメータ名
+        QUERY_KEY: 'oneAccountTest',
+        // URLパラメータで有効にした状態を保持するsessionStorageのキー
+        SESSION_KEY: 'oneAccountTest',
+        // テストモードであることを表示する要素のID（OneAccountCrossDomain.jsと共通）
+        MARKER_ID: 'oneAccountTestMarker',
+        // window.oneAccountTest.runs に保持する実行記録の最大数
+        MAX_RUNS: 50,
+        // 記録中の実行
+        active: [],
+        /**
+         * テストモードが有効かを判定します。URLパラメータで指定された場合は、その状態をsessionStorageに保存します。
+         * @returns {boolean} 有効な場合はtrue
+         */
+        isEnabled: () => {
+            const option = getOption('testMode', false);
+            if (option === true || option === '1' || option === 'true') return true;
+            const allowUrl = getOption('testModeAllowUrl', false);
+            if (allowUrl !== true && allowUrl !== '1' && allowUrl !== 'true') return false;
+            const flag = new URLSearchParams(window.location.search).get(TestMode.QUERY_KEY);
+            try {
+                if (flag === '1') window.sessionStorage.setItem(TestMode.SESSION_KEY, '1');
+                if (flag === '0') window.sessionStorage.removeItem(TestMode.SESSION_KEY);
+                return window.sessionStorage.getItem(TestMode.SESSION_KEY) === '1';
+            } catch (e) {
+                return flag === '1';
+            }
+        },
+        /**
+         * 実行記録の保存先（OneAccountTracking.jsとOneAccountCrossDomain.jsで共通）を取得します。
+         * `track` はOneAccountCrossDomain.jsが自身の処理を記録するために利用します。
+         * @returns {{runs: Array<object>, lastRun: (object|null), track: Function}} 実行記録
+         */
+        state: () => {
+            if (!window.oneAccountTest || typeof window.oneAccountTest !== 'object') {
+                window.oneAccountTest = { runs: [], lastRun: null };
+            }
+            if (typeof window.oneAccountTest.track !== 'function') window.oneAccountTest.track = TestMode.track;
+            return window.oneAccountTest;
+        },
+        /**
+         * 実行の記録を開始します。
+         * @param {string} label - 処理名
+         * @param {string} [source] - 処理を実行したスクリプト（デフォルトはこのスクリプト）
+         * @returns {object} 実行記録
+         */
+        begin: (label, source) => {
+            const run = {
+                source: source || EventLog.SOURCE,
+                label: label,
+                startedAt: Date.now(),
+                finishedAt: null,
+                status: 'running',
+                payload: null,
+                error: null,
+                requests: [],   // 送信するはずだったリクエスト
+                postbacks: [],  // 送信先ごとの成果通知
+                cookies: [],    // Cookieの保存・削除（削除は skipped: true として記録のみ）
+                events: []      // 記録中に発行されたすべてのイベント
+            };
+            const state = TestMode.state();
+            state.runs.push(run);
+            if (state.runs.length > TestMode.MAX_RUNS) state.runs.splice(0, state.runs.length - TestMode.MAX_RUNS);
+            state.lastRun = run;
+            TestMode.active.push(run);
+            return run;
+        },
+        /**
+         * 実行の記録を終了します。
+         * @param {object} run - 実行記録
+         * @param {string} status - 結果
+         * @param {object} [fields] - 実行記録に追加する項目
+         */
+        end: (run, status, fields) => {
+            Object.assign(run, fields || {}, { status: status, finishedAt: Date.now() });
+            TestMode.active = TestMode.active.filter(entry => entry !== run);
+        },
+        /**
+         * 同期的な処理を1回の実行として記録します。テストモードでない場合はそのまま実行します。
+         * @param {string} label - 処理名
+         * @param {Function} task - 実行する処理
+         * @param {string} [source] - 処理を実行したスクリプト（デフォルトはこのスクリプト）
+         */
+        track: (label, task, source) => {
+            if (!TestMode.isEnabled()) {
+                task();
+                return;
+            }
+            const run = TestMode.begin(label, source);
+            try {
+                task();
+                TestMode.end(run, 'done');
+            } catch (e) {
+                TestMode.end(run, 'error', { error: { message: e.message } });
+                throw e;
+            }
+        },
+        /**
+         * 発行されたイベント（両スクリプトのもの）を、記録中の実行に追加します。
+         * @param {{type: string, detail: object}} event - イベント
+         */
+        capture: (event) => {
+            if (!event || typeof event !== 'object') return;
+            const detail = event.detail || {};
+            TestMode.active.forEach(run => {
+                run.events.push(event);
+                if (event.type === 'cookie:set' || event.type === 'cookie:delete') {
+                    run.cookies.push({ operation: event.type.split(':')[1], name: detail.name, value: detail.value, days: detail.days, domain: detail.domain, skipped: detail.skipped === true });
+                } else if (event.type === 'beacon' || event.type === 'cookie:sync') {
+                    run.requests.push({ url: detail.url, httpMethod: detail.httpMethod || 'GET', params: detail.params || null });
+                }
+            });
+        },
+        /**
+         * テストモードであることを画面に表示します。OneAccountCrossDomain.jsが表示済みの場合は何もしません。
+         */
+        showMarker: () => {
+            if (!document.body || document.getElementById(TestMode.MARKER_ID)) return;
+            const marker = document.createElement('div');
+            marker.id = TestMode.MARKER_ID;
+            marker.setAttribute('role', 'status');
+            marker.textContent = 'OneAccount テストモード（成果通知の送信とCookieの削除は行いません）';
+            Object.assign(marker.style, {
+                position: 'fixed', left: '8px', bottom: '8px', zIndex: '2147483647', padding: '4px 8px',
+                background: '#c62828', color: '#fff', font: 'bold 12px sans-serif', borderRadius: '3px', pointerEvents: 'none'
+            });
+            document.body.appendChild(marker);
+        },
+        /**
+         * テストモードの場合、実行記録の保存先の作成と、イベントの記録・画面への表示を開始します。
+         */
+        init: () => {
+            if (!TestMode.isEnabled()) return;
+            TestMode.state();
+            window.addEventListener(EventLog.EVENT_NAME, (event) => TestMode.capture(event.detail));
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', TestMode.showMarker);
+            } else {
+                TestMode.showMarker();
+            }
+            logger.info('テストモードで動作しています。成果通知の送信とCookieの削除は行わず、window.oneAccountTestに記録します。');
+        }
+    };
+
+    /**
+     * 計測処理の経過（Cookieの保存・削除、入力の検証エラー、成果通知の送信など）を確認ツールに通知するためのオブジェクトです。
+     * 各イベントは `oneaccount:event` のCustomEventとして発行し、確認ツール（OneAccountInspector.js）が後から読み込まれた場合に備えて
+     * `window.oneAccountEvents` にも直近のものを保持します。イベントにはクリック識別子や成果データが含まれるため、
+     * 保持するのは確認ツールかテストモードが有効な場合のみで、同意が撤回された場合は破棄します。
+     */
+    const EventLog = {
+        // 発行するイベント名（OneAccountTracking.jsとOneAccountCrossDomain.jsで共通）
+        EVENT_NAME: 'oneaccount:event',
+        // 発行元のスクリプト名
+        SOURCE: 'OneAccountTracking',
+        // window.oneAccountEvents に保持するイベントの最大数
+        MAX_ITEMS: 200,
+        // 確認ツールを有効にするURLパラメータ名とsessionStorageのキー（OneAccountInspector.jsと共通）
+        INSPECTOR_KEY: 'oneAccountInspector',
+        /**
+         * `window.oneAccountEvents` にイベントを保持するかを判定します。
+         * 確認ツールが先に読み込まれて保持先を用意している場合、確認ツールの有効化が指定されている場合（後から読み込まれる場合）、テストモードの場合に保持します。
+         * @returns {boolean} 保持する場合はtrue
+         */
+        isBuffering: () => {
+            if (Array.isArray(window.oneAccountEvents) || TestMode.isEnabled()) return true;
+            const option = getOption('inspector', false);
+            if (option === true || option === '1' || option === 'true') return true;
+            try {
+                const flag = new URLSearchParams(window.location.search).get(EventLog.INSPECTOR_KEY);
+                return flag === '1' || (flag !== '0' && window.sessionStorage.getItem(EventLog.INSPECTOR_KEY) === '1');
+            } catch (e) {
+                return false;
+            }
+        },
+        /**
+         * 保持しているイベントを破棄します。
+         */
+        clear: () => {
+            if (Array.isArray(window.oneAccountEvents)) window.oneAccountEvents.length = 0;
+        },
+        /**
+         * イベントを発行します。確認ツールの有無にかかわらず、計測処理には影響しません。
+         * @param {string} type - イベントの種類（例: 'cookie:set'）
+         * @param {object} [detail] - イベントの内容
+         */
+        emit: (type, detail) => {
+            const event = { source: EventLog.SOURCE, type: type, time: Date.now(), detail: detail || {} };
+            try {
+                if (EventLog.isBuffering()) {
+                    const buffer = Array.isArray(window.oneAccountEvents) ? window.oneAccountEvents : (window.oneAccountEvents = []);
+                    buffer.push(event);
+                    if (buffer.length > EventLog.MAX_ITEMS) buffer.splice(0, buffer.length - EventLog.MAX_ITEMS);
+                }
+                window.dispatchEvent(new CustomEvent(EventLog.EVENT_NAME, { detail: event }));
+            } catch (e) {
+                // イベントを発行できない環境では何もしない
+            }
+        }
+    };
+
+    /**
+     * Public Suffix List（https://publicsuffix.org/）に基づいて、Cookieを設定できるドメインを判定するためのオブジェクトです。
+     * スクリプトのサイズを抑えるため、主要な国別・汎用トップレベルドメインとホスティングサービスのルールのみを同梱しています。
+     * 一覧にないトップレベルドメイン（ブランドTLDなど）は、PSLの既定ルール（'*'）に従って最後の1ラベルを公開サフィックスとして扱います。
+     */
+    const PublicSuffix = {
+        // 'tld:label,label' の形式で、tld自身と 'label.tld' をルールとして表します。
+        // '*.' で始まるラベルはワイルドカードルール、'!' で始まるラベルは例外ルールです。
+        RULES: [
+            'com:herokuapp,firebaseapp,appspot,blogspot,myshopify,wixsite', 'net:cloudfront,azurewebsites', 'org', 'edu', 'gov', 'mil', 'int',
+            'info', 'biz', 'name', 'pro', 'mobi', 'asia', 'tel', 'travel', 'jobs', 'co', 'me', 'tv', 'cc', 'ai',
+            'io:github,gitlab', 'app:netlify,vercel,web,onrender', 'dev:pages,workers,fly',
+            'jp:co,ne,or,go,ac,ad,ed,gr,lg,' +
+                'aichi,akita,aomori,chiba,ehime,fukui,fukuoka,fukushima,gifu,gunma,hiroshima,hokkaido,hyogo,ibaraki,ishikawa,iwate,' +
+                'kagawa,kagoshima,kanagawa,kochi,kumamoto,kyoto,mie,miyagi,miyazaki,nagano,nagasaki,nara,niigata,oita,okayama,okinawa,' +
+                'osaka,saga,saitama,shiga,shimane,shizuoka,tochigi,tokushima,tokyo,tottori,toyama,wakayama,yamagata,yamaguchi,yamanashi,' +
+                '*.kawasaki,*.kitakyushu,*.kobe,*.nagoya,*.sapporo,*.sendai,*.yokohama,' +
+                '!city.kawasaki,!city.kitakyushu,!city.kobe,!city.nagoya,!city.sapporo,!city.sendai,!city.yokohama',
+            'uk:ac,co,gov,ltd,me,net,nhs,org,plc,police,*.sch', 'au:com,net,org,edu,gov,asn,id,act,nsw,nt,qld,sa,tas,vic,wa',
+            'ca:ab,bc,mb,nb,nf,nl,ns,nt,nu,on,pe,qc,sk,yk', 'nz:ac,co,geek,gen,govt,kiwi,maori,net,org,school',
+            'br:app,art,blog,com,dev,eco,edu,emp,gov,ind,inf,log,net,nom,org,rec,srv,tur,tv,wiki', 'mx:com,edu,gob,net,org', 'ar:com,edu,gob,int,net,org',
+            'kr:ac,co,es,go,hs,mil,ms,ne,or,pe,re,seoul', 'cn:ac,com,edu,gov,net,org', 'tw:com,edu,gov,idv,net,org', 'hk:com,edu,gov,idv,net,org',
+            'sg:com,edu,gov,net,org,per', 'th:ac,co,go,in,net,or', 'my:com,edu,gov,net,org', 'id:ac,co,go,net,or,sch,web', 'ph:com,edu,gov,net,org',
+            'vn:com,edu,gov,net,org', 'in:ac,co,edu,firm,gen,gov,ind,net,org,res', 'za:ac,co,edu,gov,net,org,web', 'tr:av,bel,biz,com,edu,gen,gov,info,k12,net,org',
+            'fr:asso,com,gouv,nom,prd,tm', 'es:com,edu,gob,nom,org', 'it:edu,gov', 'de', 'us', 'eu', 'ru', 'ck:*,!www'
+        ],
+        // 展開済みのルール（初回利用時に生成）
+        rules: null,
+        /**
+         * ルールを展開します。
+         * @returns {Set<string>} ルールの集合
+         */
+        load: () => {
+            if (PublicSuffix.rules) return PublicSuffix.rules;
+            const rules = new Set();
+            PublicSuffix.RULES.forEach(group => {
+                const parts = group.split(':');
+                const tld = parts[0];
+                rules.add(tld);
+                (parts[1] ? parts[1].split(',') : []).forEach(label => {
+                    rules.add(label.charAt(0) === '!' ? `!${label.substring(1)}.${tld}` : `${label}.${tld}`);
+                });
+            });
+            PublicSuffix.rules = rules;
+            return rules;
+        },
+        /**
+         * ホスト名の公開サフィックスを取得します。
+         * @param {string} hostname - ホスト名
+         * @returns {string} 公開サフィックス (例: 'co.jp')
+         */
+        getSuffix: (hostname) => {
+            const rules = PublicSuffix.load();
+            const labels = hostname.toLowerCase().split('.');
+            // 長い候補から順に判定し、最初に一致したルールを採用する
+            for (let i = 0; i < labels.length; i++) {
+                const candidate = labels.slice(i).join('.');
+                if (rules.has(`!${candidate}`)) return labels.slice(i + 1).join('.');
+                if (rules.has(candidate) || (i + 1 < labels.length && rules.has(`*.${labels.slice(i + 1).join('.')}`))) return candidate;
+            }
+            return labels[labels.length - 1];
+        },
+        /**
+         * ホスト名から、公開サフィックスに1ラベルを加えた登録可能ドメインを取得します。
+         * @param {string} hostname - ホスト名
+         * @returns {string|null} 登録可能ドメイン (例: 'example.co.jp')。ホスト名自体が公開サフィックスの場合はnull
+         */
+        getRegistrableDomain: (hostname) => {
+            const suffix = PublicSuffix.getSuffix(hostname);
+            const labels = hostname.toLowerCase().split('.');
+            const suffixLength = suffix.split('.').length;
+            if (labels.length <= suffixLength) return null;
+            return labels.slice(-(suffixLength + 1)).join('.');
+        }
+    };
+
+    /**
+     * 現在のホスト名からルートドメイン（Cookieを設定するドメイン）を取得します。
+     * Public Suffix Listに基づいて 'co.jp' や 'tokyo.jp'、'github.io' などの公開サフィックスを考慮し、正しくルートドメインを判定します。
+     * `cookieDomain`（data-oneaccountcookiedomain）を指定した場合は、現在のホスト名に一致し、公開サフィックスでないものであればそれを優先します。
+     * ホスト名を受け取ってドメインを返す関数を `window.oneAccountConfig.cookieDomain` に指定することもできます。
      * @returns {string} ルートドメイン (例: 'example.com')
      */
     const getRootDomain = () => {
@@ -41,13 +441,27 @@
         if (/^(localhost|(\d{1,3}\.){3}\d{1,3})$/.test(hostname)) {
             return hostname;
         }
-        const parts = hostname.split('.');
-        if (parts.length <= 2) return hostname;
-        const slds = ['co', 'ne', 'or', 'go', 'ac', 'ad', 'ed', 'gr', 'com', 'net', 'org', 'gov', 'edu', 'uk', 'au', 'ca', 'de', 'fr', 'kr'];
-        if (slds.includes(parts[parts.length - 2]) && parts.length > 2) {
-            return parts.slice(-3).join('.');
+        let override = getOption('cookieDomain', null);
+        if (typeof override === 'function') {
+            try {
+                override = override(hostname);
+            } catch (e) {
+                logger.error(`cookieDomainの評価に失敗しました: ${e.message}`);
+                override = null;
+            }
+        }
+        if (typeof override === 'string' && override !== '') {
+            const domain = override.replace(/^\./, '').toLowerCase();
+            if (hostname !== domain && !hostname.endsWith(`.${domain}`)) {
+                logger.error(`cookieDomain(${override})が現在のホスト名(${hostname})に一致しないため、無視します。`);
+            } else if (PublicSuffix.getRegistrableDomain(domain) === null) {
+                // 'co.jp' などの公開サフィックスにはブラウザがCookieを設定しないため、自動判定に切り替える
+                logger.error(`cookieDomain(${override})は公開サフィックスのため、無視します。`);
+            } else {
+                return domain;
+            }
         }
-        return parts.slice(-2).join('.');
+        return PublicSuffix.getRegistrableDomain(hostname) || hostname;
     };
 
     /**
@@ -70,6 +484,7 @@
                 cookieStr += `;domain=${domain}`;
             }
             document.cookie = cookieStr;
+            EventLog.emit('cookie:set', { name: name, value: value, days: days, domain: domain });
         },
         /**
          * 指定された名前のCookieを取得します。
@@ -86,209 +501,2191 @@
             return null;
         },
         /**
-         * 指定された名前のCookieを削除します。
+         * 現在参照できるCookieの名前をすべて取得します。
+         * @returns {Array<string>} Cookie名の配列
+         */
+        names: () => document.cookie.split(';').map(c => c.trim().split('=')[0]).filter(Boolean),
+        /**
+         * 指定された名前のCookieを削除します。テストモードでは削除せず、記録のみ行います。
          * @param {string} name - Cookie名
-         * @param {string} domain - 設定されているドメイン
+         * @param {string|null} domain - 設定されているドメイン（nullの場合はドメイン属性なし）
          */
         delete: (name, domain) => {
+            if (TestMode.isEnabled()) {
+                EventLog.emit('cookie:delete', { name: name, domain: domain, skipped: true });
+                return;
+            }
             let cookieStr = `${name}=; Max-Age=-99999999;path=/`;   // 有効期限を過去に設定
-            if (!/^(localhost|(\d{1,3}\.){3}\d{1,3})$/.test(domain)) {
+            if (domain && !/^(localhost|(\d{1,3}\.){3}\d{1,3})$/.test(domain)) {
                 cookieStr += `;domain=${domain}`;
             }
             document.cookie = cookieStr;    // Cookieを上書き（結果として削除される）
+            EventLog.emit('cookie:delete', { name: name, domain: domain });
         }
     };
 
-
     /**
-     * OneAccountの成果計測を実行するメイン関数。
-     * この関数をグローバルスコープに公開することで、HTMLから直接呼び出せるようになります。
-     * 例: oneAccountSales({ pid: 's000000...', items: [...] });
+     * ユーザーの同意状態に応じて、Cookieの書き込みや成果通知の送信を制御するためのオブジェクトです。
+     * `consentMode`（data-oneaccountconsentmode="1"）を指定した場合のみ動作し、同意が得られるまで処理を保留します。
+     * 同意が拒否・撤回された場合は保留中の処理を破棄し、保存済みの `_oneAccount_*` と `ONEACCOUNT_DELIVERY*` Cookie、Web Storageのクリック履歴を削除して、
+     * コンテナ要素とdataLayerの監視を停止します（再び同意された場合は再開します）。
+     * 送信済みの注文の記録と未送信の成果通知は、同意を得て計測した成果のものなので削除しません（再送は同意が得られている間のみ行います）。
      *
-     * @param {object} dataObject - 成果データを含むオブジェクト
-     * @param {string} dataObject.pid - プログラムID (必須, 15文字)
-     * @param {Array<object>} dataObject.items - 商品情報の配列 (必須)
-     * @param {string} [dataObject.order_number] - 注文番号 (任意)
-     * @param {string} [dataObject.currency] - 通貨コード (任意, デフォルト'JPY')
-     * @param {number} [dataObject.total_price] - 注文合計金額 (任意)
-     * @param {boolean} [dataObject.repeat] - リピート成果判定 (任意)
-     * @param {string} [dataObject.amount_priority] - 金額の優先指定 (任意)
-     * @param {string} [dataObject.coupon] - クーポンコード (任意)
+     * 同意状態は次の順に参照します（値は 'granted' / 'denied'、または true / false）。
+     * 1. `window.oneAccountConfig.consentProvider`: 同意状態を返す関数。引数のコールバックで後から通知することもできます（CMP連携用）。
+     * 2. `window.oneAccountConsent`: `{ state: 'granted' }` のようなオブジェクト
+     * 3. `consentCookie`（data-oneaccountconsentcookie）で指定したCookie。値が `consentCookieValue`（デフォルト 'granted'）であれば同意済み
+     * 同意状態が変わった場合は `window.oneAccountUpdateConsent('granted')` を呼び出して通知します。
      */
-    window.oneAccountSales = function(dataObject) {
-        // --- フェーズ1: バリデーション ---
-        // 成果データを送信するためのimgタグを設置するコンテナ要素が存在するかチェック
-        if (!document.getElementById('oneAccountSales')) {
-            logger.error('spanタグ(#oneAccountSales)が存在しません。処理を終了します。');
-            return;
-        }
-
-        // 引数オブジェクトと必須プロパティの存在と型をチェック
-        const errors = [];
-        if (!dataObject || typeof dataObject !== 'object') {
-            errors.push('引数がオブジェクトではありません。');
-        } else {
-            if (typeof dataObject.pid !== 'string' || dataObject.pid.length !== 15) {
-                errors.push(`pidが文字列(15byte)ではありません。`);
+    const Consent = {
+        // 同意状態の変更を通知するイベント名（OneAccountTracking.jsとOneAccountCrossDomain.jsで共通）
+        EVENT_NAME: 'oneaccount:consent',
+        // 現在の同意状態（'granted' / 'denied' / 'pending'）
+        state: 'pending',
+        // 同意が得られるまで保留している処理
+        pending: [],
+        /**
+         * 同意モードが有効かを判定します。
+         * @returns {boolean} 有効な場合はtrue
+         */
+        isRequired: () => {
+            const mode = getOption('consentMode', false);
+            return mode === true || mode === '1' || mode === 'true';
+        },
+        /**
+         * 様々な形式の同意状態を 'granted' / 'denied' / 'pending' に揃えます。
+         * @param {*} value - 同意状態
+         * @returns {string} 同意状態
+         */
+        normalize: (value) => {
+            if (value === true || value === 'granted') return 'granted';
+            if (value === false || value === 'denied') return 'denied';
+            return 'pending';
+        },
+        /**
+         * 同意状態をプロバイダーから取得します。
+         * @returns {string} 同意状態
+         */
+        read: () => {
+            const provider = getOption('consentProvider', null);
+            if (typeof provider === 'function') {
+                try {
+                    const state = Consent.normalize(provider(Consent.update));
+                    if (state !== 'pending') return state;
+                } catch (e) {
+                    logger.error(`consentProviderの評価に失敗しました: ${e.message}`);
+                }
+            }
+            const consent = window.oneAccountConsent;
+            if (consent !== undefined && consent !== null) {
+                const state = Consent.normalize(typeof consent === 'object' ? consent.state : consent);
+                if (state !== 'pending') return state;
+            }
+            const cookieName = getOption('consentCookie', null);
+            if (cookieName) {
+                const value = CookieUtil.get(cookieName);
+                if (value !== null) {
+                    return value === String(getOption('consentCookieValue', 'granted')) ? 'granted' : 'denied';
+                }
             }
-            if (!Array.isArray(dataObject.items) || dataObject.items.length === 0) {
-                errors.push('itemsが配列ではないか、空です。');
+            return 'pending';
+        },
+        /**
+         * 処理の実行が許可されているかを判定します。同意モードが無効な場合は常に許可します。
+         * @returns {boolean} 許可されている場合はtrue
+         */
+        isGranted: () => !Consent.isRequired() || Consent.state === 'granted',
+        /**
+         * 同意が得られている場合は処理を実行し、未確定の場合は保留します。拒否されている場合は破棄します。
+         * @param {Function} task - 実行する処理
+         * @param {string} label - ログ出力用の処理名
+         * @param {Function} [onDiscard] - 処理を破棄した場合に呼び出す関数
+         */
+        whenGranted: (task, label, onDiscard) => {
+            if (Consent.isGranted()) {
+                task();
+            } else if (Consent.state === 'denied') {
+                logger.info(`同意が得られていないため、${label}を行いません。`);
+                if (onDiscard) onDiscard();
+            } else {
+                logger.info(`同意が得られるまで${label}を保留します。`);
+                Consent.pending.push({ task: task, onDiscard: onDiscard });
+            }
+        },
+        /**
+         * 同意状態を更新します。同意された場合は保留中の処理を実行し、拒否・撤回された場合は破棄してデータを削除します。
+         * @param {*} value - 新しい同意状態
+         */
+        update: (value) => {
+            const state = Consent.normalize(value);
+            if (state === 'pending' || state === Consent.state) return;
+            Consent.state = state;
+            EventLog.emit('consent:update', { state: state });
+            if (!Consent.isRequired()) return;
+            if (state === 'granted') {
+                logger.info('同意が得られたため、保留中の処理を実行します。');
+                const entries = Consent.pending;
+                Consent.pending = [];
+                entries.forEach(entry => entry.task());
+                DeclarativeTag.resume();
+                DataLayerCapture.resume();
             } else {
-                dataObject.items.forEach((item, index) => {
-                    if (typeof item.price !== 'number') errors.push(`items[${index}].priceが数値ではありません。`);
-                    if (typeof item.quantity !== 'number') errors.push(`items[${index}].quantityが数値ではありません。`);
+                const entries = Consent.pending;
+                Consent.pending = [];
+                Consent.purge();
+                entries.forEach(entry => entry.onDiscard && entry.onDiscard());
+            }
+        },
+        /**
+         * 保存済みのトラッキング情報を削除し、成果計測のための監視を停止します。
+         */
+        purge: () => {
+            const rootDomain = getRootDomain();
+            CookieUtil.names()
+                .filter(name => name.indexOf('_oneAccount_') === 0 || name.indexOf(DELIVERY_COOKIE_KEY) === 0)
+                .forEach(name => {
+                    CookieUtil.delete(name, rootDomain);
+                    CookieUtil.delete(name, null); // ドメイン属性なしで保存されたCookieも削除する
                 });
+            // Web Storageのクリック履歴も破棄する（送信済みの注文の記録と未送信の成果通知は残す）
+            ['localStorage', 'sessionStorage'].forEach(type => {
+                try {
+                    Object.keys(window[type])
+                        .filter(key => key.indexOf(ClickStore.cookieName('')) === 0 && key !== SENT_ORDERS_KEY && key !== RETRY_QUEUE_KEY)
+                        .forEach(key => window[type].removeItem(key));
+                } catch (e) {
+                    // 利用できない環境では何もしない
+                }
+            });
+            DeclarativeTag.stop();
+            DataLayerCapture.stop();
+            EventLog.clear();
+            logger.info('同意が拒否されたため、保存済みのトラッキング情報を削除しました。');
+        },
+        /**
+         * 同意状態を取得し、以降の変更の監視を開始します。
+         */
+        init: () => {
+            window.addEventListener(Consent.EVENT_NAME, (event) => Consent.update(event.detail && event.detail.state));
+            if (typeof window.oneAccountUpdateConsent !== 'function') {
+                /**
+                 * 同意状態の変更をOneAccountのスクリプトに通知します。
+                 * @param {string|boolean} state - 'granted' / 'denied'、または true / false
+                 */
+                window.oneAccountUpdateConsent = (state) => {
+                    window.dispatchEvent(new CustomEvent(Consent.EVENT_NAME, { detail: { state: state } }));
+                };
             }
+            if (Consent.isRequired()) Consent.update(Consent.read());
         }
+    };
 
-        // バリデーションエラーがあればログに出力して処理終了
-        if (errors.length > 0) {
-            errors.forEach(msg => logger.error(msg));
-            return;
-        }
-
-        // --- フェーズ2: クリック識別子の取得 ---
-        const pid = dataObject.pid;
-        const rootDomain = getRootDomain();
-        const cookieName = `_oneAccount_${pid}`;
-
-        const params = new URLSearchParams(window.location.search);
-        const oneAccountParamFromUrl = params.get('oneAccount');
-        let oneAccountValue = null;
-
-        console.log(`[CV側で受信] value: ${oneAccountParamFromUrl}, length: ${oneAccountParamFromUrl ? oneAccountParamFromUrl.length : 0}`);
 
-        // URLにoneAccountパラメータがあれば、それを最優先で利用し、永続Cookieに保存
-        if (oneAccountParamFromUrl) {
-            // パラメータの値と長さを検証
-            if (/^[A-Za-z0-9\-_.]+$/.test(oneAccountParamFromUrl) && oneAccountParamFromUrl.length >= 92 && oneAccountParamFromUrl.length <= 500) {
-                CookieUtil.set(cookieName, oneAccountParamFromUrl, 3653, rootDomain); // 3653日(約10年)保存
-                oneAccountValue = oneAccountParamFromUrl;
-            } else {
-                logger.error(`URLのoneAccountパラメータが仕様の範囲外または不正な文字を含みます。`);
+    /**
+     * ASPが発行する署名付きのクリック識別子（クリックトークン）を検証するためのオブジェクトです。
+     * 形式と検証の規則は README.md の「3.18. 署名付きのクリック識別子（クリックトークン）」が仕様です。変更する場合は仕様と合わせて
+     * OneAccountCrossDomain.js・mock/server.js も変更してください。
+     *
+     * 署名の検証には秘密鍵が必要なため、ブラウザでは形式・有効期限・pidとの一致のみを確認し、署名はサーバー側で検証します。
+     * 端末の時計は正確とは限らないため、発行日時が未来かは確認せず、有効期限切れの判定には猶予を設けます。
+     */
+    const ClickToken = {
+        // トークン形式の正規表現（バージョン、pid、発行日時、有効期間、ノンス、署名。README.md 3.18.）
+        PATTERN: /^oa1\.([A-Za-z0-9]{15})\.([0-9a-z]{1,10})\.([0-9a-z]{1,8})\.([A-Za-z0-9_-]{16,64})\.([A-Za-z0-9_-]{43})$/,
+        /**
+         * トークン形式のクリック識別子かを判定します（形式の正しさは問いません）。
+         * @param {*} value - クリック識別子
+         * @returns {boolean} 'oa1.' で始まる場合はtrue
+         */
+        isToken: (value) => typeof value === 'string' && value.indexOf(`${CLICK_TOKEN_VERSION}.`) === 0,
+        /**
+         * トークンを分解します。
+         * @param {string} value - クリック識別子
+         * acceptedUntil は、端末の時計のずれの猶予を加えた、受け付ける期限です。
+         * @returns {{pid: string, issuedAt: number, expiresAt: number, acceptedUntil: number, nonce: string, mac: string}|null} 日時はミリ秒。形式が正しくない場合はnull
+         */
+        parse: (value) => {
+            const match = ClickToken.PATTERN.exec(value);
+            if (!match) return null;
+            const issuedAt = parseInt(match[2], 36) * 1000;
+            const expiresAt = issuedAt + (parseInt(match[3], 36) * 1000);
+            return { pid: match[1], issuedAt: issuedAt, expiresAt: expiresAt, acceptedUntil: expiresAt + (CLICK_TOKEN_CLOCK_TOLERANCE_SECONDS * 1000), nonce: match[4], mac: match[5] };
+        },
+        /**
+         * クリック識別子を受け付けられるかを検証します。
+         * reason は次のいずれかです。
+         * - MALFORMED     : 仕様（英数字と - _ . のみ、92〜500文字）またはトークン形式を満たさない
+         * - UNSIGNED      : `clickTokenRequired` が有効で、トークン形式ではない
+         * - EXPIRED       : 有効期限切れ（端末の時計のずれの猶予を超えている）
+         * - PID_MISMATCH  : 別のプログラムのために発行されたトークン
+         * @param {*} value - クリック識別子
+         * @param {string} pid - 成果を計上するプログラムID
+         * @returns {{reason: string, message: string}|null} 受け付けられない理由。問題がなければnull
+         */
+        check: (value, pid) => {
+            if (!ClickStore.isValid(value)) return { reason: 'MALFORMED', message: 'クリック識別子が仕様の範囲外または不正な文字を含みます。' };
+            if (!ClickToken.isToken(value)) {
+                const required = getOption('clickTokenRequired', false);
+                return (required === true || required === '1' || required === 'true') ? { reason: 'UNSIGNED', message: 'クリック識別子が署名付きのトークンではありません。' } : null;
             }
-        } else {
-            // URLにパラメータがなければ、Cookieから値を取得
-            oneAccountValue = CookieUtil.get(cookieName);
+            const token = ClickToken.parse(value);
+            if (!token) return { reason: 'MALFORMED', message: 'クリックトークンの形式が不正です。' };
+            if (token.acceptedUntil <= Date.now()) return { reason: 'EXPIRED', message: `クリックトークンの有効期限(${new Date(token.expiresAt).toISOString()})が切れています。` };
+            if (token.pid !== pid) return { reason: 'PID_MISMATCH', message: `クリックトークンは別のプログラム(${token.pid})のものです。` };
+            return null;
+        },
+        /**
+         * 受け付けなかったクリック識別子と理由をログに出力し、確認ツールに通知します。
+         * @param {string} pid - プログラムID
+         * @param {string} source - 取得元（'url' / 'delivery'）
+         * @param {{reason: string, message: string}} rejection - 受け付けなかった理由
+         */
+        report: (pid, source, rejection) => {
+            logger.error(`${rejection.message} (pid=${pid}, 取得元=${source === 'url' ? 'URLパラメータ' : '一時Cookie'}, reason=${rejection.reason})`);
+            EventLog.emit('click:rejected', { pid: pid, source: source, reason: rejection.reason, message: rejection.message });
         }
+    };
 
-        // クリック識別子が最終的に取得できなければ処理終了
-        if (!oneAccountValue) {
-            logger.error('クリック識別子(oneAccountパラメータ)が取得できませんでした。処理を終了します。');
-            return;
+    /**
+     * プログラムごとのクリック履歴を保存・取得するためのオブジェクトです。
+     * クリック履歴は `_oneAccount_<pid>` Cookieに、クリック日時と有効期限付きで `historySize`（data-oneaccounthistorysize）件まで保持します。
+     * 各クリックの有効期限は `attributionDays`（data-oneaccountattributiondays）の日数です（クリックトークンの場合は、トークンの有効期限が先に来ればそれまで）。
+     *
+     * Cookieの有効期限が短縮されたり書き込めなかったりするブラウザに備え、同じ内容をlocalStorageとsessionStorageにも保存し、
+     * 読み込み時にはすべての保存先の内容を統合します。`storageSyncUrl`（data-oneaccountstoragesyncurl）を指定した場合は、
+     * 同一サイトのエンドポイントを呼び出してサーバーからCookieを設定し直します。
+     *
+     * 値は '<クリック日時>:<有効期限>:<クリック識別子>' を '|' で連結したものです（日時は36進数のミリ秒）。
+     * 以前の形式（クリック識別子のみ）の値は、クリック日時が不明なクリックとして扱います。
+     *
+     * 成果の計上に利用して削除したクリックは、有効期限を0とした削除済みの印として、クリック日時から `attributionDays` 日が過ぎるまで残します。
+     * 統合時は削除済みの印を優先するため、他のタブのsessionStorageや古いlocalStorageに残っていたクリックが復活することはありません。
+     */
+    const ClickStore = {
+        /**
+         * プログラムIDに対応するCookie名を取得します。
+         * @param {string} pid - プログラムID
+         * @returns {string} Cookie名
+         */
+        cookieName: (pid) => `_oneAccount_${pid}`,
+        // storageSyncUrl の呼び出しを順に行うためのPromise
+        syncQueue: Promise.resolve(),
+        /**
+         * クリック識別子が仕様（英数字と - _ . のみ、92〜500文字）を満たすかを検証します。
+         * @param {*} value - 検証する値
+         * @returns {boolean} 仕様を満たす場合はtrue
+         */
+        isValid: (value) => typeof value === 'string' && /^[A-Za-z0-9\-_.]+$/.test(value) && value.length >= 92 && value.length <= 500,
+        /**
+         * URLのoneAccountパラメータを取得します。プログラムごとの `oneAccount_<pid>` パラメータがあれば優先します。
+         * @param {string} pid - プログラムID
+         * @returns {string|null} パラメータの値。存在しない場合はnull
+         */
+        fromUrl: (pid) => {
+            const params = new URLSearchParams(window.location.search);
+            return params.get(`oneAccount_${pid}`) || params.get('oneAccount');
+        },
+        /**
+         * プログラムごとのクロスドメイン連携用の一時Cookieの名前を取得します。
+         * @param {string} pid - プログラムID
+         * @returns {string} Cookie名
+         */
+        deliveryCookieName: (pid) => `${DELIVERY_COOKIE_KEY}_${pid}`,
+        /**
+         * クロスドメイン連携用の一時Cookieからクリック識別子を取得します。プログラムごとの一時Cookieがあれば優先します。
+         * 受け付けられない値（期限切れや別のプログラムのクリックトークンなど）は、理由を通知して無視します。
+         * @param {string} pid - プログラムID
+         * @returns {string|null} クリック識別子。存在しないか受け付けられない場合はnull
+         */
+        fromDelivery: (pid) => {
+            const value = [CookieUtil.get(ClickStore.deliveryCookieName(pid)), CookieUtil.get(DELIVERY_COOKIE_KEY)].find(candidate => {
+                if (candidate === null) return false;
+                const rejection = ClickToken.check(candidate, pid);
+                if (rejection) ClickToken.report(pid, 'delivery', rejection);
+                return rejection === null;
+            });
+            return value || null;
+        },
+        /**
+         * Cookieの値をクリック履歴に変換します。
+         * @param {string|null} raw - Cookieの値
+         * @returns {Array<{id: string, clickedAt: (number|null), expiresAt: (number|null)}>} 古い順のクリック履歴
+         */
+        parse: (raw) => {
+            if (!raw) return [];
+            let decoded;
+            try {
+                decoded = decodeURIComponent(raw); // サーバーから設定されたCookieはエンコードされている場合がある
+            } catch (e) {
+                return [];
+            }
+            return decoded.split('|').map(token => {
+                const parts = token.split(':');
+                if (parts.length === 1) return { id: parts[0], clickedAt: null, expiresAt: null };
+                const clickedAt = parseInt(parts[0], 36);
+                const expiresAt = parseInt(parts[1], 36);
+                if (parts.length !== 3 || !Number.isFinite(clickedAt) || !Number.isFinite(expiresAt)) return { id: null };
+                return { id: parts[2], clickedAt: clickedAt, expiresAt: expiresAt };
+            }).filter(entry => ClickStore.isValid(entry.id));
+        },
+        /**
+         * Web Storageから値を取得します。利用できない環境ではnullを返します。
+         * @param {string} type - 'localStorage' または 'sessionStorage'
+         * @param {string} key - キー名
+         * @returns {string|null} 値
+         */
+        storageGet: (type, key) => {
+            try {
+                return window[type].getItem(key);
+            } catch (e) {
+                return null;
+            }
+        },
+        /**
+         * Web Storageに値を保存します。nullを指定した場合は削除します。利用できない環境では何もしません。
+         * @param {string} type - 'localStorage' または 'sessionStorage'
+         * @param {string} key - キー名
+         * @param {string|null} value - 値
+         */
+        storageSet: (type, key, value) => {
+            try {
+                if (value === null) {
+                    window[type].removeItem(key);
+                } else {
+                    window[type].setItem(key, value);
+                }
+            } catch (e) {
+                // 保存できない場合は他の保存先に任せる
+            }
+        },
+        /**
+         * すべての保存先の値を取得します。
+         * @param {string} pid - プログラムID
+         * @returns {Array<string|null>} Cookie、localStorage、sessionStorageの順の値
+         */
+        readAll: (pid) => {
+            const name = ClickStore.cookieName(pid);
+            return [CookieUtil.get(name), ClickStore.storageGet('localStorage', name), ClickStore.storageGet('sessionStorage', name)];
+        },
+        /**
+         * 削除済みの印かを判定します。
+         * @param {{expiresAt: (number|null)}} entry - クリック
+         * @returns {boolean} 削除済みの印の場合はtrue
+         */
+        isRemoved: (entry) => entry.expiresAt === 0,
+        /**
+         * 削除済みの印を残しておく期限を取得します。削除したクリックが本来有効でありえた期間（クリック日時から `attributionDays` 日）です。
+         * @param {{clickedAt: (number|null)}} entry - 削除済みの印
+         * @returns {number} 期限（ミリ秒）
+         */
+        removedUntil: (entry) => (entry.clickedAt === null ? 0 : entry.clickedAt) + (getDaysOption('attributionDays', DEFAULT_ATTRIBUTION_DAYS) * 24 * 60 * 60 * 1000),
+        /**
+         * 複数の保存先のクリック履歴を統合します。
+         * 同じクリック識別子はクリック日時の早いものを採用し、有効期限は遅いものを採用します（削除済みの印がある場合は削除済みとします）。
+         * @param {Array<Array<object>>} histories - 保存先ごとのクリック履歴
+         * @returns {Array<object>} 古い順に並べた統合後のクリック履歴
+         */
+        merge: (histories) => {
+            const byId = {};
+            histories.forEach(entries => entries.forEach(entry => {
+                const current = byId[entry.id];
+                if (!current) {
+                    byId[entry.id] = { ...entry };
+                    return;
+                }
+                if (entry.clickedAt !== null && (current.clickedAt === null || entry.clickedAt < current.clickedAt)) current.clickedAt = entry.clickedAt;
+                if (ClickStore.isRemoved(entry) || ClickStore.isRemoved(current)) {
+                    current.expiresAt = 0;
+                } else if (entry.expiresAt !== null && (current.expiresAt === null || entry.expiresAt > current.expiresAt)) {
+                    current.expiresAt = entry.expiresAt;
+                }
+            }));
+            // クリック日時が不明なものは最も古いクリックとして扱う
+            const order = (entry) => (entry.clickedAt === null ? -Infinity : entry.clickedAt);
+            return Object.keys(byId).map(id => byId[id]).sort((a, b) => order(a) - order(b));
+        },
+        /**
+         * 保存しておくべきクリック履歴を、削除済みの印とともに取得します。
+         * 期限切れのクリック、受け付けられなくなったクリック（期限切れのクリックトークンなど）、期限を過ぎた削除済みの印は除外します。
+         * @param {string} pid - プログラムID
+         * @returns {Array<{id: string, clickedAt: (number|null), expiresAt: (number|null)}>} 古い順のクリック履歴
+         */
+        current: (pid) => {
+            const now = Date.now();
+            return ClickStore.merge(ClickStore.readAll(pid).map(ClickStore.parse)).filter(entry => (ClickStore.isRemoved(entry)
+                ? ClickStore.removedUntil(entry) > now
+                : (entry.expiresAt === null || entry.expiresAt > now) && ClickToken.check(entry.id, pid) === null));
+        },
+        /**
+         * 有効期限内のクリック履歴を取得します。削除済みのクリックと、受け付けられなくなったクリックは除外します。
+         * @param {string} pid - プログラムID
+         * @returns {Array<{id: string, clickedAt: (number|null), expiresAt: (number|null)}>} 古い順のクリック履歴
+         */
+        history: (pid) => ClickStore.current(pid).filter(entry => !ClickStore.isRemoved(entry)),
+        /**
+         * 保存先ごとの内容の差異を解消します。いずれかの保存先にしかないクリックがあれば、統合した内容をすべての保存先に書き戻します。
+         * @param {string} pid - プログラムID
+         */
+        reconcile: (pid) => {
+            const values = ClickStore.readAll(pid);
+            if (values.every(value => value === null)) return;
+            const entries = ClickStore.current(pid);
+            const serialized = ClickStore.serialize(entries);
+            if (values.some(value => ClickStore.serialize(ClickStore.parse(value)) !== serialized)) {
+                ClickStore.write(pid, entries);
+                logger.info(`保存先ごとに異なるクリック履歴を統合しました: ${ClickStore.cookieName(pid)}`);
+            }
+        },
+        /**
+         * クリック履歴を保存用の文字列に変換します。
+         * @param {Array<object>} entries - クリック履歴
+         * @returns {string} 保存用の文字列
+         */
+        serialize: (entries) => entries.map(entry => (entry.clickedAt === null ? entry.id : `${entry.clickedAt.toString(36)}:${entry.expiresAt.toString(36)}:${entry.id}`)).join('|'),
+        /**
+         * クリック履歴をすべての保存先に保存します。件数と長さの上限を超えた分は古いものから破棄します。
+         * 削除済みの印は、クリックとは別に同じ件数まで保持し、長さの上限を超える場合はクリックより先に破棄します。
+         * @param {string} pid - プログラムID
+         * @param {Array<object>} entries - 古い順のクリック履歴（削除済みの印を含む）
+         */
+        write: (pid, entries) => {
+            const historySize = Math.max(1, Math.floor(getNumberOption('historySize', DEFAULT_CLICK_HISTORY_SIZE)));
+            const clicks = entries.filter(entry => !ClickStore.isRemoved(entry)).slice(-historySize);
+            const removed = entries.filter(ClickStore.isRemoved).slice(-historySize);
+            let kept = entries.filter(entry => clicks.includes(entry) || removed.includes(entry));
+            while (kept.length > 1 && ClickStore.serialize(kept).length > CLICK_HISTORY_MAX_LENGTH) {
+                const oldestRemoved = kept.findIndex(ClickStore.isRemoved);
+                kept = kept.filter((entry, index) => index !== (oldestRemoved !== -1 ? oldestRemoved : 0));
+            }
+            if (kept.length === 0) {
+                ClickStore.clear(pid);
+                return;
+            }
+            // Cookie自体の有効期限は、最も遅いクリックの有効期限（削除済みの印は残しておく期限）に合わせる
+            const defaultDays = getDaysOption('attributionDays', DEFAULT_ATTRIBUTION_DAYS);
+            const latestExpiry = Math.max.apply(null, kept.map(entry => {
+                if (ClickStore.isRemoved(entry)) return ClickStore.removedUntil(entry);
+                return entry.expiresAt === null ? Date.now() + (defaultDays * 24 * 60 * 60 * 1000) : entry.expiresAt;
+            }));
+            const name = ClickStore.cookieName(pid);
+            const value = ClickStore.serialize(kept);
+            CookieUtil.set(name, value, (latestExpiry - Date.now()) / (24 * 60 * 60 * 1000), getRootDomain());
+            ClickStore.storageSet('localStorage', name, value);
+            ClickStore.storageSet('sessionStorage', name, value);
+            ClickStore.syncToServer(name, value, Math.floor((latestExpiry - Date.now()) / 1000));
+        },
+        /**
+         * `storageSyncUrl` が指定されている場合、同一サイトのエンドポイントを呼び出し、サーバーからCookieを設定し直します。
+         * サーバーが設定したCookieは、JavaScriptから設定したCookieに対する有効期限の短縮を受けません。
+         * エンドポイントには name / value / max_age（秒）/ domain をクエリパラメータで渡します。
+         * 古い内容で上書きされないよう、呼び出しは前の呼び出しの完了を待ってから順に行います（到達を待てないsendBeaconは利用しません）。
+         * @param {string} name - Cookie名
+         * @param {string} value - Cookieの値（削除する場合は空）
+         * @param {number} maxAge - 有効期間（秒）。削除する場合は0
+         */
+        syncToServer: (name, value, maxAge) => {
+            const syncUrl = getOption('storageSyncUrl', null);
+            if (!syncUrl) return;
+            let url;
+            try {
+                url = new URL(syncUrl, window.location.href);
+            } catch (e) {
+                logger.error(`storageSyncUrl(${syncUrl})が不正です。`);
+                return;
+            }
+            const rootDomain = getRootDomain();
+            if (url.hostname !== rootDomain && !url.hostname.endsWith(`.${rootDomain}`)) {
+                logger.error(`storageSyncUrl(${syncUrl})が同一サイトではないため、Cookieを同期できません。`);
+                return;
+            }
+            url.searchParams.set('name', name);
+            url.searchParams.set('value', value);
+            url.searchParams.set('max_age', String(Math.max(0, maxAge)));
+            url.searchParams.set('domain', rootDomain);
+            const target = url.toString();
+            EventLog.emit('cookie:sync', { name: name, value: value, maxAge: maxAge, url: target });
+            ClickStore.syncQueue = ClickStore.syncQueue
+                .then(() => (TestMode.isEnabled() ? 'test' : Transport.sendFetch(target).catch(() => Transport.sendImage(target))))
+                .catch(() => logger.error(`Cookieの同期に失敗しました: ${name}`));
+        },
+        /**
+         * クリックをクリック履歴に追加します。既に同じクリック識別子がある場合は、最初のクリック日時を維持します。
+         * 成果の計上に利用して削除済みのクリック識別子は、再び保存しません。
+         * @param {string} pid - プログラムID
+         * @param {string} value - クリック識別子
+         * @param {number} [days] - 有効期限（日数）。省略時は `attributionDays` の設定値
+         */
+        save: (pid, value, days) => {
+            const attributionDays = (typeof days === 'number' && days > 0) ? days : getDaysOption('attributionDays', DEFAULT_ATTRIBUTION_DAYS);
+            const entries = ClickStore.current(pid);
+            const existing = entries.find(entry => entry.id === value);
+            if (existing) {
+                if (ClickStore.isRemoved(existing)) logger.info(`成果の計上に利用済みのクリック識別子のため、保存しません: ${ClickStore.cookieName(pid)}`);
+                return;
+            }
+            const now = Date.now();
+            // クリックトークンの場合は、トークンの有効期限を超えて保持しない
+            const token = ClickToken.parse(value);
+            const expiresAt = now + (attributionDays * 24 * 60 * 60 * 1000);
+            entries.push({ id: value, clickedAt: now, expiresAt: token ? Math.min(expiresAt, token.acceptedUntil) : expiresAt });
+            ClickStore.write(pid, entries);
+        },
+        /**
+         * 設定されたアトリビューションモデル（`attributionModel`、data-oneaccountattributionmodel）を取得します。
+         * - last_click         : 最後のクリック（デフォルト）
+         * - first_click        : 最初のクリック
+         * - last_click_within  : `attributionLookbackDays` 日以内の最後のクリック
+         * @returns {string} アトリビューションモデル
+         */
+        getModel: () => {
+            const model = getOption('attributionModel', 'last_click');
+            if (ATTRIBUTION_MODELS.includes(model)) return model;
+            logger.error(`attributionModel(${model})が不正なため、last_clickとして扱います。`);
+            return 'last_click';
+        },
+        /**
+         * アトリビューションモデルに従って、成果を計上するクリックを選択します。
+         * @param {string} pid - プログラムID
+         * @returns {{id: string, clickedAt: (number|null), model: string}|null} 選択したクリック。対象がなければnull
+         */
+        select: (pid) => {
+            const entries = ClickStore.history(pid);
+            const model = ClickStore.getModel();
+            let candidates = entries;
+            if (model === 'last_click_within') {
+                const lookback = getDaysOption('attributionLookbackDays', getDaysOption('attributionDays', DEFAULT_ATTRIBUTION_DAYS)) * 24 * 60 * 60 * 1000;
+                const now = Date.now();
+                // クリック日時が不明なクリックは対象期間内かを判定できないため除外する
+                candidates = entries.filter(entry => entry.clickedAt !== null && now - entry.clickedAt <= lookback);
+            }
+            if (candidates.length === 0) return null;
+            const chosen = model === 'first_click' ? candidates[0] : candidates[candidates.length - 1];
+            return { id: chosen.id, clickedAt: chosen.clickedAt, model: model };
+        },
+        /**
+         * クリック履歴のクリックをすべて削除済みにします。他の保存先から復活しないよう、削除済みの印をすべての保存先に保存します。
+         * テストモードでは削除せず、Cookieの削除を記録のみ行います。
+         * @param {string} pid - プログラムID
+         */
+        remove: (pid) => {
+            if (TestMode.isEnabled()) {
+                CookieUtil.delete(ClickStore.cookieName(pid), getRootDomain());
+                return;
+            }
+            const now = Date.now();
+            ClickStore.write(pid, ClickStore.current(pid).map(entry => (ClickStore.isRemoved(entry) ? entry : { id: entry.id, clickedAt: entry.clickedAt === null ? now : entry.clickedAt, expiresAt: 0 })));
+        },
+        /**
+         * すべての保存先からクリック履歴を消去します。
+         * @param {string} pid - プログラムID
+         */
+        clear: (pid) => {
+            const name = ClickStore.cookieName(pid);
+            CookieUtil.delete(name, getRootDomain());
+            ClickStore.storageSet('localStorage', name, null);
+            ClickStore.storageSet('sessionStorage', name, null);
+            ClickStore.syncToServer(name, '', 0);
         }
+    };
 
-        // --- フェーズ3: データの整形（デフォルト値の設定） ---
-        const data = { ...dataObject }; // 元のオブジェクトを壊さないようにコピー
-        // 注文番号がなければ、自動生成
-        data.order_number = (typeof data.order_number === 'string' && data.order_number.length > 0) ?
-            data.order_number.substring(0, 50) : `null-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
-        
-        // 通貨コードが不正または未指定なら'JPY'に
-        const validCurrencies = ['JPY', 'AUD', 'CHF'];
-        data.currency = (typeof data.currency === 'string' && validCurrencies.includes(data.currency.toUpperCase())) ?
-            data.currency.toUpperCase() : 'JPY';
-        
-        // 商品配列の各アイテムを整形
-        data.items = data.items.map(item => ({
-            code: (typeof item.code === 'string' && item.code.length > 0) ? item.code.substring(0, 50) : 'oneAccount', // 商品コードがなければ'oneAccount'
-            price: Number(item.price) || 0,
-            quantity: (Number.isInteger(item.quantity) && item.quantity > 0 && item.quantity <= 9999) ? item.quantity : 1, // 個数が不正なら1に
-        }));
-
-        // 合計金額が未指定なら、商品配列から自動計算
-        if (typeof data.total_price !== 'number') {
-            data.total_price = data.items.reduce((total, item) => total + (item.price * item.quantity), 0);
-            if (data.currency === 'JPY') {
-                data.total_price = Math.floor(data.total_price); // 日本円の場合は小数点以下を切り捨て
-            }
-        }
-
-        // --- フェーズ4: 最終成果金額の確定 ---
-        // amount_priorityが'total_price'の場合、自動計算された金額ではなく、引数で渡されたtotal_priceを優先する
-        let finalAmount = data.total_price;
-        if (data.amount_priority === "total_price" && typeof dataObject.total_price === 'number') {
-            finalAmount = dataObject.total_price;
-        }
-
-        // --- フェーズ5: 成果通知URLの構築 ---
-        const query = {
-            pid: data.pid,
-            oneAccount: oneAccountValue,
-            o: data.order_number,
-            c: data.currency,
-            p: finalAmount
-        };
-        // 商品情報をパラメータに追加
-        data.items.forEach((item, index) => {
-            query[`i[${index}][sc]`] = item.code;
-            query[`i[${index}][p]`] = item.price;
-            query[`i[${index}][q]`] = item.quantity;
-        });
-        // オプショナルなパラメータを追加
-        if (data.coupon) {
-            query['coupon'] = String(data.coupon).substring(0, 50);
+    /**
+     * 送信に失敗した成果通知（URLと、POSTで送信する場合はその本文）をlocalStorageに保持し、次回以降のページ読み込み時に再送するためのキューです。
+     * localStorageが利用できない環境では何もしません。
+     */
+    const RetryQueue = {
+        /**
+         * キューの内容を取得します。
+         * @returns {Array<{url: string, body: (string|undefined), attempts: number, createdAt: number}>} キューに保持されている成果通知
+         */
+        read: () => {
+            try {
+                const entries = JSON.parse(window.localStorage.getItem(RETRY_QUEUE_KEY) || '[]');
+                return Array.isArray(entries) ? entries : [];
+            } catch (e) {
+                return [];
+            }
+        },
+        /**
+         * キューの内容を保存します。空の場合はキー自体を削除します。
+         * @param {Array<object>} entries - 保存する成果通知
+         * @returns {boolean} 保存に成功した場合はtrue
+         */
+        write: (entries) => {
+            try {
+                if (entries.length === 0) {
+                    window.localStorage.removeItem(RETRY_QUEUE_KEY);
+                } else {
+                    window.localStorage.setItem(RETRY_QUEUE_KEY, JSON.stringify(entries.slice(-RETRY_QUEUE_MAX_ITEMS)));
+                }
+                return true;
+            } catch (e) {
+                return false;
+            }
+        },
+        /**
+         * 成果通知をキューに追加します。
+         * @param {string} url - 送信に失敗した成果通知URL
+         * @param {string} [body] - POSTで送信する場合の本文
+         * @returns {boolean} キューへの保存に成功した場合はtrue
+         */
+        push: (url, body) => {
+            const entries = RetryQueue.read().filter(entry => entry.url !== url || entry.body !== body);
+            const entry = { url: url, attempts: 0, createdAt: Date.now() };
+            if (body !== undefined) entry.body = body;
+            entries.push(entry);
+            return RetryQueue.write(entries);
+        },
+        /**
+         * キューに残っている成果通知を再送します。
+         * 再送に失敗したものは試行回数を加算して戻し、上限回数または保持期間を超えたものは破棄します。
+         * テストモードでは再送せず、キューもそのまま残します。
+         * @returns {Promise<void>}
+         */
+        flush: () => {
+            const entries = RetryQueue.read();
+            if (entries.length === 0 || TestMode.isEnabled()) return Promise.resolve();
+            RetryQueue.write([]); // 別タブとの二重送信を避けるため、先にキューを空にする
+
+            const expiresBefore = Date.now() - (RETRY_QUEUE_TTL_DAYS * 24 * 60 * 60 * 1000);
+            const targets = entries.filter(entry => entry && typeof entry.url === 'string' && entry.createdAt > expiresBefore);
+
+            return Promise.all(targets.map(entry => Transport.send(entry.url, entry.body).then(
+                (method) => {
+                    logger.info(`未送信の成果通知を再送しました。URL=${entry.url}`);
+                    Transport.report(entry.url, entry.body, { status: 'sent', method: method }, true);
+                    return null;
+                },
+                () => {
+                    const attempts = (entry.attempts || 0) + 1;
+                    Transport.report(entry.url, entry.body, { status: attempts < RETRY_MAX_ATTEMPTS ? 'queued' : 'failed', method: null }, true);
+                    return attempts < RETRY_MAX_ATTEMPTS ? { ...entry, attempts: attempts } : null;
+                }
+            ))).then(results => {
+                const failed = results.filter(Boolean);
+                if (failed.length > 0) {
+                    RetryQueue.write(RetryQueue.read().concat(failed));
+                }
+            });
+        }
+    };
+
+    /**
+     * 成果通知の送信先（ポストバック）を管理するレジストリです。
+     * OneAccountの成果計測サーバーに加え、`window.oneAccountConfig.postbacks` に宣言した任意の数の送信先に、
+     * 同じ成果データから組み立てたURLで成果を通知します。
+     *
+     * 送信先の定義例:
+     * {
+     *     name: 'asp-sample',                                            // ログ出力用の名前
+     *     url: 'https://asp.example/cv/{pid}',                           // URLテンプレート
+     *     params: { cid: '{click_id}', amount: '{total_price}' },        // パラメータ名とテンプレートの組
+     *     itemParams: { 'item{index}': '{code}:{price}:{quantity}' },    // 商品ごとに付与するパラメータ
+     *     when: { pids: ['s00000000000001'], repeat: false },            // 送信条件（関数も指定可能）
+     *     largePayload: 'chunk'                                          // URLが長すぎる場合の送信方式（省略時は `largePayload` の設定値）
+     * }
+     *
+     * テンプレートの `{項目名}` は成果データの値に置き換えられます。値が空になったパラメータは付与しません。
+     * 組み立てたURLが `maxUrlLength`（data-oneaccountmaxurllength）を超える場合は、パラメータをPOSTの本文で送信するか（'post'）、
+     * 商品を分割して複数回送信します（'chunk'）。分割した通知には共通の `{batch_id}` と、`{batch_index}`（何番目か、1から）/ `{batch_count}`（分割数）が付与されます。
+     */
+    const PostbackRegistry = {
+        /**
+         * OneAccountの成果計測サーバーへの送信定義を取得します。
+         * 送信先URLは `salesServerUrl`（data-oneaccountsalesserverurl）で変更できます。
+         * @returns {object} 送信先の定義
+         */
+        builtin: () => ({
+            name: 'oneaccount',
+            url: getOption('salesServerUrl', ONEACCOUNT_SALES_SERVER_URL),
+            params: {
+                act: '{action}',
+                reason: '{reason}',
+                pid: '{pid}',
+                oneAccount: '{click_id}',
+                bid: '{batch_id}',
+                bi: '{batch_index}',
+                bn: '{batch_count}',
+                o: '{order_number}',
+                c: '{currency}',
+                p: '{total_price}',
+                pj: '{total_price_jpy}',
+                coupon: '{coupon}',
+                repeat: '{repeat}',
+                am: '{attribution_model}',
+                ca: '{click_age}'
+            },
+            itemParams: {
+                'i[{index}][sc]': '{code}',
+                'i[{index}][n]': '{name}',
+                'i[{index}][ct]': '{category}',
+                'i[{index}][p]': '{price}',
+                'i[{index}][q]': '{quantity}',
+                'i[{index}][d]': '{discount}',
+                'i[{index}][t]': '{tax}',
+                'i[{index}][cp]': '{coupon}'
+            },
+            // 成果に加えて、キャンセル・修正も通知する
+            when: { actions: ORDER_ACTIONS }
+        }),
+        /**
+         * テンプレート文字列に含まれるプレースホルダー名を取得します。
+         * @param {string} template - テンプレート文字列
+         * @returns {Array<string>} プレースホルダー名の配列
+         */
+        placeholders: (template) => (String(template).match(/\{[^{}]*\}/g) || []).map(token => token.slice(1, -1)),
+        /**
+         * テンプレート文字列のプレースホルダーを値に置き換えます。
+         * @param {string} template - テンプレート文字列
+         * @param {object} values - プレースホルダー名と値の組
+         * @param {boolean} [encode] - 値をURLエンコードする場合はtrue
+         * @returns {string} 置換後の文字列
+         */
+        fill: (template, values, encode) => String(template).replace(/\{([^{}]*)\}/g, (token, key) => {
+            const value = values[key];
+            if (value === undefined || value === null) return '';
+            return encode ? encodeURIComponent(value) : String(value);
+        }),
+        /**
+         * 送信先の定義を検証します。
+         * @param {object} definition - 送信先の定義
+         * @returns {Array<string>} エラーメッセージの配列。問題がなければ空
+         */
+        validate: (definition) => {
+            const errors = [];
+            if (!definition || typeof definition !== 'object') {
+                return ['定義がオブジェクトではありません。'];
+            }
+            const checkTemplate = (label, template, allowed) => {
+                if (typeof template !== 'string') {
+                    errors.push(`${label}が文字列ではありません。`);
+                    return;
+                }
+                PostbackRegistry.placeholders(template).forEach(key => {
+                    if (!allowed.includes(key)) errors.push(`${label}に未定義の項目{${key}}が含まれています。`);
+                });
+            };
+
+            checkTemplate('url', definition.url, POSTBACK_PAYLOAD_FIELDS);
+            if (typeof definition.url === 'string' && !/^https?:\/\/[^/?#{}]+/.test(definition.url)) {
+                errors.push('urlがhttp(s)の絶対URLではありません。');
+            }
+            ['params', 'itemParams'].forEach(field => {
+                const params = definition[field];
+                if (params === undefined) return;
+                if (!params || typeof params !== 'object' || Array.isArray(params)) {
+                    errors.push(`${field}がオブジェクトではありません。`);
+                    return;
+                }
+                const allowed = field === 'itemParams' ? POSTBACK_PAYLOAD_FIELDS.concat(POSTBACK_ITEM_FIELDS) : POSTBACK_PAYLOAD_FIELDS;
+                Object.keys(params).forEach(name => {
+                    checkTemplate(`${field}のパラメータ名"${name}"`, name, allowed);
+                    checkTemplate(`${field}.${name}`, params[name], allowed);
+                });
+            });
+
+            const when = definition.when;
+            if (when !== undefined && typeof when !== 'function') {
+                if (!when || typeof when !== 'object') {
+                    errors.push('whenがオブジェクトまたは関数ではありません。');
+                } else {
+                    if (when.pids !== undefined && !Array.isArray(when.pids)) errors.push('when.pidsが配列ではありません。');
+                    if (when.repeat !== undefined && typeof when.repeat !== 'boolean') errors.push('when.repeatが真偽値ではありません。');
+                    if (when.actions !== undefined && (!Array.isArray(when.actions) || when.actions.some(action => !ORDER_ACTIONS.includes(action)))) {
+                        errors.push(`when.actionsが ${ORDER_ACTIONS.join(' / ')} の配列ではありません。`);
+                    }
+                }
+            }
+            if (definition.largePayload !== undefined && !LARGE_PAYLOAD_MODES.includes(definition.largePayload)) {
+                errors.push(`largePayloadが ${LARGE_PAYLOAD_MODES.join(' / ')} のいずれでもありません。`);
+            }
+            return errors;
+        },
+        /**
+         * 有効な送信先の定義を取得します。不正な定義はログに出力して除外します。
+         * @returns {Array<object>} 送信先の定義の配列
+         */
+        list: () => {
+            const config = window.oneAccountConfig;
+            const declared = (config && Array.isArray(config.postbacks)) ? config.postbacks : [];
+            return [PostbackRegistry.builtin()].concat(declared).filter((definition, index) => {
+                const errors = PostbackRegistry.validate(definition);
+                const label = (definition && definition.name) || `postbacks[${index - 1}]`;
+                errors.forEach(msg => logger.error(`ポストバック定義(${label})が不正です: ${msg}`));
+                return errors.length === 0;
+            });
+        },
+        /**
+         * 成果データが送信先の送信条件を満たすかを判定します。
+         * キャンセル・修正は、`when.actions` に含まれる送信先にのみ通知します（省略時は成果のみ）。
+         * @param {object} definition - 送信先の定義
+         * @param {object} payload - 成果データ
+         * @returns {boolean} 送信する場合はtrue
+         */
+        matches: (definition, payload) => {
+            const when = definition.when;
+            const actions = (when && Array.isArray(when.actions)) ? when.actions : ['sale'];
+            if (!actions.includes(payload.action)) return false;
+            if (!when) return true;
+            if (typeof when === 'function') {
+                try {
+                    return when(payload) === true;
+                } catch (e) {
+                    logger.error(`ポストバック(${definition.name})の送信条件の評価に失敗しました: ${e.message}`);
+                    return false;
+                }
+            }
+            if (Array.isArray(when.pids) && !when.pids.includes(payload.pid)) return false;
+            if (typeof when.repeat === 'boolean' && when.repeat !== payload.repeat) return false;
+            return true;
+        },
+        /**
+         * 成果データからクエリ文字列を構築します。
+         * @param {object} definition - 送信先の定義
+         * @param {object} values - 成果データの項目と値の組
+         * @param {Array<{item: object, index: number}>} entries - 付与する商品と、成果データ全体での番号の組
+         * @returns {string} クエリ文字列（先頭の '?' を含まない）
+         */
+        buildQuery: (definition, values, entries) => {
+            const query = [];
+            const append = (nameTemplate, valueTemplate, scope) => {
+                const value = PostbackRegistry.fill(valueTemplate, scope);
+                if (value === '') return;
+                query.push(`${encodeURIComponent(PostbackRegistry.fill(nameTemplate, scope))}=${encodeURIComponent(value)}`);
+            };
+
+            const params = definition.params || {};
+            Object.keys(params).forEach(name => append(name, params[name], values));
+            // 商品情報をパラメータに追加
+            const itemParams = definition.itemParams || {};
+            entries.forEach(entry => {
+                const scope = { ...values, ...entry.item, index: entry.index };
+                Object.keys(itemParams).forEach(name => append(name, itemParams[name], scope));
+            });
+            return query.join('&');
+        },
+        /**
+         * URLにクエリ文字列を付与します。
+         * @param {string} url - URL（フラグメントを含む場合があります）
+         * @param {string} query - クエリ文字列
+         * @returns {string} クエリ文字列を付与したURL
+         */
+        appendQuery: (url, query) => {
+            if (query === '') return url;
+            const hashIndex = url.indexOf('#');
+            const base = hashIndex === -1 ? url : url.substring(0, hashIndex);
+            const hash = hashIndex === -1 ? '' : url.substring(hashIndex);
+            return `${base}${base.includes('?') ? '&' : '?'}${query}${hash}`;
+        },
+        /**
+         * 成果データから送信先のURLを構築します。
+         * @param {object} definition - 送信先の定義
+         * @param {object} payload - 成果データ
+         * @returns {string} 送信先URL
+         */
+        buildUrl: (definition, payload) => {
+            const values = { ...payload, repeat: payload.repeat ? '1' : '', item_count: payload.items.length };
+            const url = PostbackRegistry.fill(definition.url, values, true);
+            return PostbackRegistry.appendQuery(url, PostbackRegistry.buildQuery(definition, values, payload.items.map((item, index) => ({ item: item, index: index }))));
+        },
+        /**
+         * 成果データから送信するリクエストを構築します。
+         * URLが `maxUrlLength` を超える場合は、送信先の `largePayload`（省略時は設定値 `largePayload`、デフォルト 'post'）に従い、
+         * パラメータをPOSTの本文に移すか、商品を分割して複数のリクエストにします。
+         * @param {object} definition - 送信先の定義
+         * @param {object} payload - 成果データ
+         * @returns {Array<{url: string, body: (string|undefined)}>} 送信するリクエスト。bodyがある場合はPOSTで送信します
+         */
+        buildRequests: (definition, payload) => {
+            const url = PostbackRegistry.buildUrl(definition, payload);
+            const maxLength = getNumberOption('maxUrlLength', DEFAULT_MAX_URL_LENGTH);
+            if (url.length <= maxLength) return [{ url: url }];
+
+            let mode = definition.largePayload || getOption('largePayload', 'post');
+            if (!LARGE_PAYLOAD_MODES.includes(mode)) {
+                logger.error(`largePayload(${mode})が不正なため、postとして扱います。`);
+                mode = 'post';
+            }
+            if (mode === 'none') return [{ url: url }];
+
+            const values = { ...payload, repeat: payload.repeat ? '1' : '', item_count: payload.items.length };
+            const entries = payload.items.map((item, index) => ({ item: item, index: index }));
+            const baseUrl = PostbackRegistry.fill(definition.url, values, true);
+            if (mode === 'post' || entries.length <= 1) {
+                logger.info(`成果通知URLが${maxLength}文字を超えるため、POSTで送信します(${definition.name || definition.url})。`);
+                return [{ url: baseUrl, body: PostbackRegistry.buildQuery(definition, values, entries) }];
+            }
+
+            // 分割数が確定する前に長さを見積もるため、バッチ情報は最大の桁数の値で計算する
+            const batchId = `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+            const widest = { ...values, batch_id: batchId, batch_index: String(entries.length), batch_count: String(entries.length) };
+            const chunks = [];
+            let current = [];
+            entries.forEach(entry => {
+                const candidate = current.concat([entry]);
+                const candidateUrl = PostbackRegistry.appendQuery(baseUrl, PostbackRegistry.buildQuery(definition, widest, candidate));
+                if (current.length > 0 && candidateUrl.length > maxLength) {
+                    chunks.push(current);
+                    current = [entry];
+                } else {
+                    current = candidate;
+                }
+            });
+            chunks.push(current);
+            logger.info(`成果通知URLが${maxLength}文字を超えるため、商品を${chunks.length}回に分けて送信します(${definition.name || definition.url})。`);
+            return chunks.map((chunk, index) => {
+                const batchValues = { ...values, batch_id: batchId, batch_index: index + 1, batch_count: chunks.length };
+                return { url: PostbackRegistry.appendQuery(baseUrl, PostbackRegistry.buildQuery(definition, batchValues, chunk)) };
+            });
         }
-        if (data.repeat === true) {
-            query['repeat'] = '1';
+    };
+
+    /**
+     * ISO 4217の通貨コードと、通貨ごとの補助単位の桁数（小数点以下の桁数）を扱うためのオブジェクトです。
+     * 金額は通貨の桁数に合わせて切り捨て、`exchangeRates` を指定した場合は日本円に換算した金額も算出します。
+     */
+    const Currency = {
+        // 補助単位の桁数ごとの通貨コード（貴金属・試験用など、補助単位を持たないコードは除く）
+        MINOR_UNITS: {
+            0: 'BIF CLP DJF GNF ISK JPY KMF KRW PYG RWF UGX UYI VND VUV XAF XOF XPF',
+            2: 'AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BMD BND BOB BOV BRL BSD BTN BWP BYN BZD ' +
+                'CAD CDF CHE CHF CHW CNY COP COU CRC CUP CVE CZK DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD ' +
+                'GTQ GYD HKD HNL HTG HUF IDR ILS INR IRR JMD KES KGS KHR KPW KYD KZT LAK LBP LKR LRD LSL MAD MDL MGA MKD ' +
+                'MMK MNT MOP MRU MUR MVR MWK MXN MXV MYR MZN NAD NGN NIO NOK NPR NZD PAB PEN PGK PHP PKR PLN QAR RON RSD ' +
+                'RUB SAR SBD SCR SDG SEK SGD SHP SLE SOS SRD SSP STN SVC SYP SZL THB TJS TMT TOP TRY TTD TWD TZS UAH USD ' +
+                'USN UYU UZS VED VES WST XCD XCG YER ZAR ZMW ZWG',
+            3: 'BHD IQD JOD KWD LYD OMR TND',
+            4: 'CLF UYW'
+        },
+        // 通貨コードと桁数の組（初回参照時に MINOR_UNITS から作成する）
+        exponents: null,
+        /**
+         * 通貨の補助単位の桁数を取得します。
+         * @param {string} code - 通貨コード（大文字）
+         * @returns {number|undefined} 桁数。ISO 4217にない通貨コードの場合はundefined
+         */
+        exponent: (code) => {
+            if (!Currency.exponents) {
+                Currency.exponents = {};
+                Object.keys(Currency.MINOR_UNITS).forEach(digits => {
+                    Currency.MINOR_UNITS[digits].split(' ').forEach(entry => {
+                        Currency.exponents[entry] = Number(digits);
+                    });
+                });
+            }
+            return Object.prototype.hasOwnProperty.call(Currency.exponents, code) ? Currency.exponents[code] : undefined;
+        },
+        /**
+         * 通貨コードを大文字に揃えて検証します。
+         * @param {*} code - 通貨コード
+         * @returns {string|null} 大文字の通貨コード。ISO 4217にない場合はnull
+         */
+        normalize: (code) => {
+            if (typeof code !== 'string') return null;
+            const upper = code.trim().toUpperCase();
+            return Currency.exponent(upper) === undefined ? null : upper;
+        },
+        /**
+         * 金額を通貨の補助単位の桁数で切り捨てます（例: JPYは整数、USDは小数点以下2桁、KWDは3桁）。
+         * @param {number} amount - 金額
+         * @param {string} code - 通貨コード（normalize済み）
+         * @returns {number} 切り捨て後の金額
+         */
+        round: (amount, code) => {
+            const factor = Math.pow(10, Currency.exponent(code));
+            // 19.99 * 100 = 1998.9999... のような浮動小数点の誤差で1単位小さくならないよう、補正してから切り捨てる
+            return Math.trunc(Number((amount * factor).toFixed(6))) / factor;
+        },
+        /**
+         * `exchangeRates`（window.oneAccountConfig.exchangeRates）の固定レートで、金額を日本円に換算します。
+         * レートは `{ USD: 150, EUR: 160 }` のように、1通貨単位あたりの円で指定します。
+         * @param {number} amount - 金額
+         * @param {string} code - 通貨コード（normalize済み）
+         * @returns {number|null} 換算後の金額（円未満切り捨て）。レートの指定がない場合はnull
+         */
+        toJpy: (amount, code) => {
+            const rates = getOption('exchangeRates', null);
+            if (!rates || typeof rates !== 'object') return null;
+            if (code === 'JPY') return Currency.round(amount, 'JPY');
+            const rate = Number(rates[code]);
+            if (!Number.isFinite(rate) || rate <= 0) {
+                logger.error(`exchangeRatesに${code}のレートがないため、日本円に換算できません。`);
+                return null;
+            }
+            return Currency.round(amount * rate, 'JPY');
         }
-        
-        // クエリオブジェクトをURLクエリ文字列に変換
-        const queryString = Object.keys(query).map(key => `${encodeURIComponent(key)}=${encodeURIComponent(query[key])}`).join('&');
-        const trackingUrl = `${ONEACCOUNT_SALES_SERVER_URL}?${queryString}`;
+    };
 
-        // --- フェーズ6: 成果通知の送信 ---
-        // 1x1ピクセルの非表示画像を生成し、そのsrcに成果通知URLを設定することでサーバーにデータを送信します（イメージビーコン方式）。
-        const container = document.getElementById('oneAccountSales');
-        let img = container.querySelector('img');
-        if (!img) { // 既にimg要素があれば再利用
-            img = document.createElement('img');
+    /**
+     * 送信済みの注文を (pid, 注文番号) の組で記録し、同じ注文の二重計測を防ぐためのオブジェクトです。
+     * 記録はlocalStorageに保持し、保持期間は `dedupDays`（data-oneaccountdedupdays）で変更できます。0を指定すると無効になります。
+     */
+    const SentOrders = {
+        /**
+         * 保持期間内の記録を取得します。
+         * @returns {Object<string, number>} 重複判定キーと送信日時の組
+         */
+        read: () => {
+            const retention = getNumberOption('dedupDays', DEFAULT_DEDUP_DAYS) * 24 * 60 * 60 * 1000;
+            const now = Date.now();
+            const records = {};
+            try {
+                const stored = JSON.parse(window.localStorage.getItem(SENT_ORDERS_KEY) || '{}');
+                Object.keys(stored).forEach(key => {
+                    if (typeof stored[key] === 'number' && now - stored[key] < retention) records[key] = stored[key];
+                });
+            } catch (e) {
+                // 読み込めない場合は記録なしとして扱う
+            }
+            return records;
+        },
+        /**
+         * 記録を保存します。古いものから順に上限件数を超えた分を破棄します。
+         * テストモードでは、実際の注文の通知が重複と判定されないよう保存しません。
+         * @param {Object<string, number>} records - 保存する記録
+         */
+        write: (records) => {
+            if (TestMode.isEnabled()) return;
+            const keys = Object.keys(records).sort((a, b) => records[a] - records[b]).slice(-SENT_ORDERS_MAX_ITEMS);
+            const trimmed = {};
+            keys.forEach(key => { trimmed[key] = records[key]; });
+            try {
+                if (keys.length === 0) {
+                    window.localStorage.removeItem(SENT_ORDERS_KEY);
+                } else {
+                    window.localStorage.setItem(SENT_ORDERS_KEY, JSON.stringify(trimmed));
+                }
+            } catch (e) {
+                // 保存できない環境では重複判定を行わない
+            }
+        },
+        /**
+         * 重複判定に使うキーを生成します。
+         * 注文番号が指定されている場合はそれを使い、自動生成される場合（null-<timestamp>）は
+         * 商品情報と合計金額のハッシュ値を使います。
+         * @param {string} pid - プログラムID
+         * @param {string|null} orderNumber - 広告主が指定した注文番号。未指定の場合はnull
+         * @param {Array<object>} items - 整形済みの商品情報
+         * @param {number} totalPrice - 成果金額
+         * @param {string} currency - 通貨コード
+         * @returns {string} 重複判定キー
+         */
+        key: (pid, orderNumber, items, totalPrice, currency) => {
+            if (orderNumber) return `${pid}:o:${orderNumber}`;
+            const fingerprint = JSON.stringify([items.map(item => [item.code, item.price, item.quantity]), totalPrice, currency]);
+            return `${pid}:h:${hashString(fingerprint)}`;
+        },
+        /**
+         * 指定したキーの注文が保持期間内に送信済みかを判定します。
+         * @param {string} key - 重複判定キー
+         * @returns {boolean} 送信済みの場合はtrue
+         */
+        has: (key) => getNumberOption('dedupDays', DEFAULT_DEDUP_DAYS) > 0 && Object.prototype.hasOwnProperty.call(SentOrders.read(), key),
+        /**
+         * 注文を送信済みとして記録します。
+         * @param {string} key - 重複判定キー
+         */
+        add: (key) => {
+            if (getNumberOption('dedupDays', DEFAULT_DEDUP_DAYS) <= 0) return;
+            const records = SentOrders.read();
+            records[key] = Date.now();
+            SentOrders.write(records);
+        },
+        /**
+         * 送信済みの記録を取り消します。送信に失敗した場合に利用します。
+         * @param {string} key - 重複判定キー
+         */
+        remove: (key) => {
+            const records = SentOrders.read();
+            if (!Object.prototype.hasOwnProperty.call(records, key)) return;
+            delete records[key];
+            SentOrders.write(records);
+        }
+    };
+
+    /**
+     * 成果通知をサーバーに送信するための通信レイヤーです。
+     * sendBeacon → fetch(keepalive) → イメージビーコンの順に試行し、すべて失敗した場合はリトライキューに保存します。
+     * 本文（body）を指定した場合はPOSTで送信します。イメージビーコンは本文を送信できないため利用しません。
+     */
+    const Transport = {
+        /**
+         * navigator.sendBeaconで送信します。ブラウザが送信を受け付けた時点で成功とみなします。
+         * @param {string} url - 送信先URL
+         * @param {string} [body] - 本文（application/x-www-form-urlencoded）
+         * @returns {Promise<string>} 成功時は送信方式名
+         */
+        sendBeacon: (url, body) => new Promise((resolve, reject) => {
+            if (typeof navigator.sendBeacon !== 'function') return reject(new Error('sendBeacon is not supported'));
+            try {
+                const accepted = body === undefined ? navigator.sendBeacon(url) : navigator.sendBeacon(url, new URLSearchParams(body));
+                accepted ? resolve('beacon') : reject(new Error('sendBeacon was rejected'));
+            } catch (e) {
+                reject(e);
+            }
+        }),
+        /**
+         * fetchで送信します。keepaliveを付けた場合は、ページ遷移後もリクエストが継続されます。
+         * @param {string} url - 送信先URL
+         * @param {string} [body] - 本文（application/x-www-form-urlencoded）
+         * @param {boolean} [keepalive=true] - keepaliveを付ける場合はtrue（本文が64KBを超える場合は付けられない）
+         * @returns {Promise<string>} 成功時は送信方式名
+         */
+        sendFetch: (url, body, keepalive) => {
+            if (typeof window.fetch !== 'function') return Promise.reject(new Error('fetch is not supported'));
+            const init = { method: 'GET', mode: 'no-cors', credentials: 'include', keepalive: keepalive !== false };
+            if (body !== undefined) {
+                init.method = 'POST';
+                init.body = new URLSearchParams(body);
+            }
+            return window.fetch(url, init)
+                .then(() => 'fetch'); // no-corsの応答は中身を参照できないため、到達した時点で成功とみなす
+        },
+        /**
+         * 1x1ピクセルの非表示画像を生成し、そのsrcに成果通知URLを設定することで送信します（イメージビーコン方式）。
+         * @param {string} url - 送信先URL
+         * @returns {Promise<string>} 成功時は送信方式名
+         */
+        sendImage: (url) => new Promise((resolve, reject) => {
+            const img = document.createElement('img');
             img.width = 1;
             img.height = 1;
             img.alt = "";
             img.style.display = "none";
-            container.appendChild(img);
+            const timer = setTimeout(() => reject(new Error('image beacon timed out')), IMAGE_BEACON_TIMEOUT_MS);
+            img.onload = () => {
+                clearTimeout(timer);
+                resolve('image');
+            };
+            img.onerror = () => {
+                clearTimeout(timer);
+                reject(new Error('image beacon failed'));
+            };
+            img.src = url;
+            // 成果通知用のコンテナがあればそこに設置する
+            const container = document.getElementById('oneAccountSales');
+            if (container) container.appendChild(img);
+        }),
+        /**
+         * 本文のバイト数を取得します。
+         * @param {string} body - 本文
+         * @returns {number} UTF-8でのバイト数
+         */
+        byteLength: (body) => (typeof TextEncoder === 'function' ? new TextEncoder().encode(body).length : body.length),
+        /**
+         * 利用可能な送信方式を順に試行します。テストモードでは送信せず、送信方式名 'test' で成功とします。
+         * sendBeaconとkeepalive付きのfetchは本文が64KBまでのため、それを超える本文はkeepaliveなしのfetchで送信します。
+         * @param {string} url - 送信先URL
+         * @param {string} [body] - POSTで送信する場合の本文
+         * @returns {Promise<string>} 成功した送信方式名。すべて失敗した場合はreject
+         */
+        send: (url, body) => {
+            if (TestMode.isEnabled()) return Promise.resolve('test');
+            if (body !== undefined && Transport.byteLength(body) > KEEPALIVE_MAX_BODY_BYTES) {
+                return Transport.sendFetch(url, body, false);
+            }
+            return Transport.sendBeacon(url, body)
+                .catch(() => Transport.sendFetch(url, body))
+                .catch((e) => (body === undefined ? Transport.sendImage(url) : Promise.reject(e)));
+        },
+        /**
+         * 送信結果を、クエリと本文のパラメータを展開した形で確認ツールに通知します。
+         * @param {string} url - 送信先URL
+         * @param {string|undefined} body - POSTで送信した本文
+         * @param {{status: string, method: (string|null)}} result - 送信結果
+         * @param {boolean} retry - 再送キューからの再送の場合はtrue
+         */
+        report: (url, body, result, retry) => {
+            const params = {};
+            let endpoint = url;
+            try {
+                const parsed = new URL(url, window.location.href);
+                endpoint = parsed.origin + parsed.pathname;
+                parsed.searchParams.forEach((value, key) => { params[key] = value; });
+                new URLSearchParams(body || '').forEach((value, key) => { params[key] = value; });
+            } catch (e) {
+                // 解析できないURLはそのまま通知する
+            }
+            EventLog.emit('beacon', {
+                url: url,
+                endpoint: endpoint,
+                httpMethod: body === undefined ? 'GET' : 'POST',
+                params: params,
+                status: result.status,
+                transport: result.method,
+                retry: retry
+            });
+        },
+        /**
+         * 成果通知を送信し、失敗した場合はリトライキューに保存します。
+         * @param {string} url - 送信先URL
+         * @param {string} [body] - POSTで送信する場合の本文
+         * @returns {Promise<{status: string, method: (string|null)}>} status は 'sent'（送信完了）/'queued'（キューに保存）/'failed'
+         */
+        deliver: (url, body) => Transport.send(url, body).then(
+            (method) => ({ status: 'sent', method: method }),
+            () => {
+                if (RetryQueue.push(url, body)) {
+                    logger.error(`成果通知の送信に失敗したため、再送キューに保存しました。URL=${url}`);
+                    return { status: 'queued', method: null };
+                }
+                logger.error(`成果通知の送信に失敗しました。URL=${url}`);
+                return { status: 'failed', method: null };
+            }
+        ).then(result => {
+            Transport.report(url, body, result, false);
+            return result;
+        })
+    };
+
+
+    /**
+     * 成果通知の関数（oneAccountSales / oneAccountCancel / oneAccountAmend）が通知を行わなかった理由を表すエラーを生成します。
+     * code は次のいずれかです。
+     * - MISSING_CONTAINER    : spanタグ(#oneAccountSales)が存在しない
+     * - INVALID_ARGUMENT     : 引数がオブジェクトではない
+     * - INVALID_PID          : pidが15文字の文字列ではない
+     * - INVALID_ORDER_NUMBER : 注文番号が指定されていない（キャンセル・修正のみ）
+     * - INVALID_ITEMS        : itemsが配列ではないか、空
+     * - INVALID_ITEM         : 商品のprice / quantityが数値ではない
+     * - INVALID_TOTAL_PRICE  : total_priceが数値ではない（修正のみ）
+     * - INVALID_CURRENCY     : 通貨コードがISO 4217にない
+     * - INVALID_CLICK_TOKEN  : URLのクリック識別子を受け付けられず、他に利用できるクリックもない（details の reason に理由）
+     * - NO_CLICK_ID          : クリック識別子が取得できない
+     * - DUPLICATE_ORDER      : 保持期間内に送信済みの注文
+     * - DELIVERY_FAILED      : 成果通知の送信にも再送キューへの保存にも失敗した
+     * - CONSENT_DENIED       : 同意が得られなかった
+     * 複数の問題がある場合、code は最初の問題のものになり、すべての問題は details に格納されます。
+     *
+     * @param {Array<{code: string, field: (string|null), message: string}>} details - 問題の一覧（field は 'items[0].price' のような項目のパス）
+     * @returns {Error} code / fields / details を持つエラー
+     */
+    const createSalesError = (details) => {
+        const error = new Error(details.map(detail => detail.message).join(' '));
+        error.name = 'OneAccountSalesError';
+        error.code = details[0].code;
+        error.fields = details.map(detail => detail.field).filter(field => field !== null);
+        error.details = details;
+        return error;
+    };
+
+    /**
+     * 問題をログに出力し、エラーとして返します。
+     * @param {Array<{code: string, field: (string|null), message: string}>} details - 問題の一覧
+     * @returns {Promise<never>} 問題を表すエラーでrejectされるPromise
+     */
+    const rejectWith = (details) => {
+        details.forEach(detail => logger.error(detail.message));
+        return Promise.reject(createSalesError(details));
+    };
+
+    /**
+     * 成果データの検証と整形を行うためのオブジェクトです。成果・キャンセル・修正の通知で共通に利用します。
+     */
+    const OrderData = {
+        // 商品の任意の文字列項目と最大文字数
+        ITEM_TEXT_FIELDS: { name: 100, category: 50, coupon: 50 },
+        // 商品の任意の金額項目（1個あたりの値引き額・税額）
+        ITEM_NUMBER_FIELDS: ['discount', 'tax'],
+        /**
+         * 引数の成果データを検証します。
+         * @param {*} dataObject - 検証する成果データ
+         * @param {object} rules - 検証の条件
+         * @param {boolean} [rules.items] - itemsを必須とする場合はtrue。falseの場合も、指定されていれば検証します
+         * @param {boolean} [rules.orderNumber] - order_numberを必須とする場合はtrue
+         * @param {boolean} [rules.totalPrice] - total_priceを指定する場合に数値であることを求める場合はtrue
+         * @returns {Array<{code: string, field: (string|null), message: string}>} 問題の一覧。問題がなければ空
+         */
+        validate: (dataObject, rules) => {
+            const errors = [];
+            if (!dataObject || typeof dataObject !== 'object') {
+                errors.push({ code: 'INVALID_ARGUMENT', field: null, message: '引数がオブジェクトではありません。' });
+                return errors;
+            }
+            if (typeof dataObject.pid !== 'string' || dataObject.pid.length !== 15) {
+                errors.push({ code: 'INVALID_PID', field: 'pid', message: `pidが文字列(15byte)ではありません。` });
+            }
+            if (rules.orderNumber && (typeof dataObject.order_number !== 'string' || dataObject.order_number.length === 0)) {
+                errors.push({ code: 'INVALID_ORDER_NUMBER', field: 'order_number', message: 'order_numberが指定されていません。' });
+            }
+            if (rules.items || dataObject.items !== undefined) {
+                if (!Array.isArray(dataObject.items) || dataObject.items.length === 0) {
+                    errors.push({ code: 'INVALID_ITEMS', field: 'items', message: 'itemsが配列ではないか、空です。' });
+                } else {
+                    dataObject.items.forEach((item, index) => {
+                        if (!item || typeof item.price !== 'number') errors.push({ code: 'INVALID_ITEM', field: `items[${index}].price`, message: `items[${index}].priceが数値ではありません。` });
+                        if (!item || typeof item.quantity !== 'number') errors.push({ code: 'INVALID_ITEM', field: `items[${index}].quantity`, message: `items[${index}].quantityが数値ではありません。` });
+                        if (!item) return;
+                        // 任意の項目は、指定されている場合のみ型を検証する
+                        Object.keys(OrderData.ITEM_TEXT_FIELDS).forEach(field => {
+                            if (item[field] !== undefined && item[field] !== null && typeof item[field] !== 'string') {
+                                errors.push({ code: 'INVALID_ITEM', field: `items[${index}].${field}`, message: `items[${index}].${field}が文字列ではありません。` });
+                            }
+                        });
+                        OrderData.ITEM_NUMBER_FIELDS.forEach(field => {
+                            if (item[field] !== undefined && item[field] !== null && !(typeof item[field] === 'number' && Number.isFinite(item[field]))) {
+                                errors.push({ code: 'INVALID_ITEM', field: `items[${index}].${field}`, message: `items[${index}].${field}が数値ではありません。` });
+                            }
+                        });
+                    });
+                }
+            }
+            if (rules.totalPrice && dataObject.total_price !== undefined && typeof dataObject.total_price !== 'number') {
+                errors.push({ code: 'INVALID_TOTAL_PRICE', field: 'total_price', message: 'total_priceが数値ではありません。' });
+            }
+            // 通貨コードは未指定（JPY）か、ISO 4217の通貨コードのみ受け付ける
+            const currency = dataObject.currency;
+            if (currency !== undefined && currency !== null && currency !== '' && !Currency.normalize(currency)) {
+                errors.push({ code: 'INVALID_CURRENCY', field: 'currency', message: `currency(${currency})がISO 4217の通貨コードではありません。` });
+            }
+            return errors;
+        },
+        /**
+         * 注文番号を整形します。
+         * @param {*} value - 注文番号
+         * @returns {string|null} 50文字までの注文番号。未指定の場合はnull
+         */
+        orderNumber: (value) => ((typeof value === 'string' && value.length > 0) ? value.substring(0, 50) : null),
+        /**
+         * 通貨・商品情報・金額を整形します（検証済みの成果データが対象）。
+         * @param {object} dataObject - 成果データ
+         * @returns {{currency: string, items: Array<object>, total_price: number, total_price_jpy: (number|string)}} 整形後の値
+         */
+        normalize: (dataObject) => {
+            // 通貨コードが未指定なら'JPY'に（不正な通貨コードはバリデーションで除外済み）
+            const currency = Currency.normalize(dataObject.currency) || 'JPY';
+
+            // 商品配列の各アイテムを整形（金額は通貨の補助単位の桁数で切り捨て、任意の項目は未指定なら空）
+            const items = (dataObject.items || []).map(item => {
+                const normalized = {
+                    code: (typeof item.code === 'string' && item.code.length > 0) ? item.code.substring(0, 50) : 'oneAccount', // 商品コードがなければ'oneAccount'
+                    price: Currency.round(Number(item.price) || 0, currency),
+                    quantity: (Number.isInteger(item.quantity) && item.quantity > 0 && item.quantity <= 9999) ? item.quantity : 1, // 個数が不正なら1に
+                };
+                Object.keys(OrderData.ITEM_TEXT_FIELDS).forEach(field => {
+                    normalized[field] = typeof item[field] === 'string' ? item[field].substring(0, OrderData.ITEM_TEXT_FIELDS[field]) : '';
+                });
+                OrderData.ITEM_NUMBER_FIELDS.forEach(field => {
+                    normalized[field] = typeof item[field] === 'number' ? Currency.round(item[field], currency) : '';
+                });
+                return normalized;
+            });
+
+            // 合計金額が未指定なら、商品配列から自動計算
+            let totalPrice = dataObject.total_price;
+            if (typeof totalPrice !== 'number') {
+                totalPrice = items.reduce((total, item) => total + (item.price * item.quantity), 0);
+            }
+            // 通貨の補助単位の桁数で切り捨て（JPYは整数、USDは小数点以下2桁）
+            totalPrice = Currency.round(totalPrice, currency);
+
+            // amount_priorityが'total_price'の場合、自動計算された金額ではなく、引数で渡されたtotal_priceを優先する
+            if (dataObject.amount_priority === "total_price" && typeof dataObject.total_price === 'number') {
+                totalPrice = Currency.round(dataObject.total_price, currency);
+            }
+            // exchangeRatesが指定されていれば、日本円に換算した金額も通知する
+            const totalPriceJpy = Currency.toJpy(totalPrice, currency);
+            return { currency: currency, items: items, total_price: totalPrice, total_price_jpy: totalPriceJpy === null ? '' : totalPriceJpy };
+        },
+        /**
+         * キャンセル・修正の理由を整形します。
+         * @param {*} value - 理由
+         * @returns {string} 100文字までの理由。未指定の場合は空
+         */
+        reason: (value) => ((value === undefined || value === null) ? '' : String(value).substring(0, 100))
+    };
+
+    /**
+     * 成果データを、送信条件を満たすすべての送信先に通知します。
+     * 送信はTransportが担い、sendBeacon → fetch(keepalive) → イメージビーコンの順に試行します。
+     * @param {object} payload - 成果データ
+     * @returns {Promise<Array<{name: string, url: string, body: (string|undefined), status: string, method: (string|null)}>>} リクエストごとの結果
+     */
+    const deliverPayload = (payload) => {
+        const requests = [];
+        PostbackRegistry.list()
+            .filter(definition => PostbackRegistry.matches(definition, payload))
+            .forEach(definition => PostbackRegistry.buildRequests(definition, payload).forEach(request => {
+                requests.push({ name: definition.name || definition.url, url: request.url, body: request.body });
+            }));
+        return Promise.all(requests.map(request => Transport.deliver(request.url, request.body).then(result => {
+            if (result.status === 'sent') {
+                logger.info(`成果通知を送信しました(${request.name})。URL=${request.url}${request.body === undefined ? '' : ` BODY=${request.body}`}`);
+            }
+            return { name: request.name, url: request.url, body: request.body, status: result.status, method: result.method };
+        })));
+    };
+
+    /**
+     * 送信結果から、成果通知の関数の戻り値を作成します。送信に失敗した送信先があればエラーとします。
+     * @param {object} payload - 成果データ
+     * @param {Array<object>} results - 送信先ごとの結果
+     * @returns {{status: string, payload: object, deliveries: Array<object>}} status は 'sent'（送信完了）/'queued'（再送キューに保存）
+     * @throws {Error} DELIVERY_FAILED のエラー
+     */
+    const settleDeliveries = (payload, results) => {
+        if (results.some(result => result.status === 'failed')) {
+            const error = createSalesError(results
+                .filter(result => result.status === 'failed')
+                .map(result => ({ code: 'DELIVERY_FAILED', field: null, message: `成果通知を送信できませんでした(${result.name})。` })));
+            error.payload = payload;
+            error.deliveries = results;
+            throw error;
         }
+        return {
+            status: results.some(result => result.status === 'queued') ? 'queued' : 'sent',
+            payload: payload,
+            deliveries: results
+        };
+    };
 
-        // 動作確認のためにコメントアウト
-        // 成果通知URLをimgのsrcに設定して送信
-        // img.src = trackingUrl;
-        // logger.info(`成果通知を送信しました。URL=${trackingUrl}`);
+    /**
+     * 成果計測の各フェーズを実行します。
+     * @param {object} dataObject - 成果データを含むオブジェクト（oneAccountSalesの引数）
+     * @returns {Promise<{status: string, payload: object, deliveries: Array<object>}>} 成果計測の結果
+     */
+    const executeSales = (dataObject) => {
+        // --- フェーズ1: バリデーション ---
+        // 成果データを送信するためのimgタグを設置するコンテナ要素が存在するかチェック
+        if (!document.getElementById('oneAccountSales')) {
+            return rejectWith([{ code: 'MISSING_CONTAINER', field: null, message: 'spanタグ(#oneAccountSales)が存在しません。処理を終了します。' }]);
+        }
 
-        // ▼▼▼ ここから動作確認ようの成果通知処理を追記 ▼▼▼
+        // 引数オブジェクトと必須プロパティの存在と型をチェックし、エラーがあればログに出力して処理終了
+        const errors = OrderData.validate(dataObject, { items: true });
+        if (errors.length > 0) {
+            return rejectWith(errors);
+        }
+
+        // --- フェーズ2: データの整形（デフォルト値の設定） ---
+        const pid = dataObject.pid;
+        // 広告主が指定した注文番号（重複判定に利用）
+        const givenOrderNumber = OrderData.orderNumber(dataObject.order_number);
+        // 注文番号がなければ、自動生成
+        const orderNumber = givenOrderNumber || `null-${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
+
+        // --- フェーズ3: 最終成果金額の確定 ---
+        // 通貨・商品情報の整形と、合計金額の自動計算・amount_priorityの反映を行う
+        const order = OrderData.normalize(dataObject);
+
+        // --- 重複チェック ---
+        // 保持期間内に同じ注文を送信済みであれば、リロードやブラウザバックによる再実行とみなして送信しません。
+        // 成果の計上に利用済みのクリック識別子は保存されないため、クリック識別子の取得より前に判定し、再実行をクリック識別子がないエラーにしません。
+        const dedupKey = SentOrders.key(pid, givenOrderNumber, order.items, order.total_price, order.currency);
+        if (SentOrders.has(dedupKey)) {
+            logger.info(`送信済みの注文のため、成果通知をスキップしました: pid=${pid}, order_number=${givenOrderNumber || '(自動生成)'}`);
+            return Promise.reject(createSalesError([{ code: 'DUPLICATE_ORDER', field: givenOrderNumber ? 'order_number' : null, message: '送信済みの注文のため、成果通知をスキップしました。' }]));
+        }
+
+        // --- フェーズ4: クリック識別子の取得 ---
+        const rootDomain = getRootDomain();
+        const cookieName = ClickStore.cookieName(pid);
+
+        const oneAccountParamFromUrl = ClickStore.fromUrl(pid);
+        ClickStore.reconcile(pid);
+
+        console.log(`[CV側で受信] value: ${oneAccountParamFromUrl}, length: ${oneAccountParamFromUrl ? oneAccountParamFromUrl.length : 0}`);
 
-        // 2. ASPへの成果通知（ポストバック）
-        const aspPostbackContainer = document.body; // ASP用タグはbodyの末尾に追加
-        const aspImg = document.createElement('img');
-        // 実際にはASPのポストバックURLを指定する（ASPサーバのAPIの受け口を指定する）
-        const aspPostbackUrl = new URL('http://asp-site.local:8080/asp-conversion-pixel.gif');
+        // URLにoneAccountパラメータがあれば、最新のクリックとしてクリック履歴に保存
+        let rejection = null;
+        if (oneAccountParamFromUrl) {
+            // パラメータの値と長さ、クリックトークンの場合は有効期限とpidとの一致を検証
+            rejection = ClickToken.check(oneAccountParamFromUrl, pid);
+            if (rejection) {
+                ClickToken.report(pid, 'url', rejection);
+            } else {
+                ClickStore.save(pid, oneAccountParamFromUrl);
+            }
+        } else if (ClickStore.history(pid).length === 0) {
+            // クリック履歴がなければ、クロスドメイン連携用の一時Cookieの値を利用
+            const deliveryValue = ClickStore.fromDelivery(pid);
+            if (deliveryValue) {
+                ClickStore.save(pid, deliveryValue);
+                logger.info(`永続Cookieがないため、${DELIVERY_COOKIE_KEY}のクリック識別子を利用します。`);
+            }
+        }
 
-        // ASPに渡したい情報をパラメータとして付与
-        aspPostbackUrl.searchParams.append('click_id', oneAccountValue); // ASPが発行したクリックID
-        aspPostbackUrl.searchParams.append('order_total', finalAmount); // 成果金額
-        aspPostbackUrl.searchParams.append('order_number', data.order_number); // 注文番号
+        // アトリビューションモデルに従って、成果を計上するクリックを選択
+        const click = ClickStore.select(pid);
+        const oneAccountValue = click ? click.id : null;
 
-        aspImg.width = 1;
-        aspImg.height = 1;
-        aspImg.alt = "";
-        aspImg.style.display = "none";
-        aspImg.src = aspPostbackUrl.toString();
-        
-        aspPostbackContainer.appendChild(aspImg);
+        // クリック識別子が最終的に取得できなければ処理終了（URLのクリック識別子を受け付けなかった場合はその理由を返す）
+        if (!oneAccountValue && rejection) {
+            return rejectWith([{ code: 'INVALID_CLICK_TOKEN', field: 'oneAccount', reason: rejection.reason, message: `${rejection.message} 処理を終了します。` }]);
+        }
+        if (!oneAccountValue) {
+            return rejectWith([{ code: 'NO_CLICK_ID', field: null, message: 'クリック識別子(oneAccountパラメータ)が取得できませんでした。処理を終了します。' }]);
+        }
 
-        logger.info(`ASPへの成果通知を送信しました。URL=${aspImg.src}`);
+        // --- フェーズ5: 成果通知データの構築 ---
+        // すべての送信先に、同じ成果データから組み立てたURLで通知します。
+        const payload = {
+            action: 'sale',
+            pid: pid,
+            click_id: oneAccountValue,
+            order_number: orderNumber,
+            currency: order.currency,
+            total_price: order.total_price,
+            total_price_jpy: order.total_price_jpy,
+            coupon: dataObject.coupon ? String(dataObject.coupon).substring(0, 50) : '',
+            repeat: dataObject.repeat === true,
+            reason: '',
+            items: order.items,
+            attribution_model: click.model,
+            // クリックからの経過秒数（クリック日時が不明な場合は空）
+            click_age: click.clickedAt === null ? '' : Math.max(0, Math.floor((Date.now() - click.clickedAt) / 1000))
+        };
 
-        // ▲▲▲ ここまで追記 ▲▲▲
+        // --- フェーズ6: 成果通知の送信 ---
+        // 送信中の再実行も重複として扱うため、送信前に記録する
+        SentOrders.add(dedupKey);
 
         // --- フェーズ7: Cookieの削除 ---
-        // リピート成果でない場合、一度利用したクリック識別子のCookieを削除します。
-        if (data.repeat !== true) {
-            CookieUtil.delete(cookieName, rootDomain);
-            logger.info(`クリック識別子のCookieを削除しました: ${cookieName}`);
+        // 送信が完了するか再送キューへの保存が確定してから削除し、送信失敗時にクリック識別子が失われないようにします。
+        return deliverPayload(payload).then(results => {
+            if (results.some(result => result.status === 'failed')) {
+                SentOrders.remove(dedupKey);
+                logger.error('成果通知を送信できなかったため、Cookieを保持します。');
+                return settleDeliveries(payload, results);
+            }
+            // リピート成果でない場合、一度利用したクリック識別子のCookieを削除します。
+            if (payload.repeat !== true) {
+                ClickStore.remove(pid);
+                logger.info(`クリック識別子のCookieを削除しました: ${cookieName}`);
+            }
+            // 役割を終えたこのプログラムの中継用Cookieも削除する。
+            // 共通の中継用Cookieは他のプログラムも利用するため、このプログラムの成果として計上した場合のみ削除する
+            const deliveryCookies = [ClickStore.deliveryCookieName(pid)];
+            if (CookieUtil.get(DELIVERY_COOKIE_KEY) === oneAccountValue) deliveryCookies.push(DELIVERY_COOKIE_KEY);
+            deliveryCookies.filter(name => CookieUtil.get(name) !== null).forEach(name => {
+                CookieUtil.delete(name, rootDomain);
+                logger.info(`中継用Cookieを削除しました: ${name}`);
+            });
+            return settleDeliveries(payload, results);
+        });
+    };
+
+    /**
+     * 送信済みの成果のキャンセルを通知します。
+     * 成果の通知後はクリック識別子のCookieが削除されているため、クリック識別子は利用しません。
+     * @param {object} dataObject - キャンセル情報を含むオブジェクト（oneAccountCancelの引数）
+     * @returns {Promise<{status: string, payload: object, deliveries: Array<object>}>} 通知の結果
+     */
+    const executeCancel = (dataObject) => {
+        const errors = OrderData.validate(dataObject, { orderNumber: true });
+        if (errors.length > 0) {
+            return rejectWith(errors);
+        }
+        const payload = {
+            action: 'cancel',
+            pid: dataObject.pid,
+            click_id: '',
+            order_number: OrderData.orderNumber(dataObject.order_number),
+            currency: '',
+            total_price: '',
+            total_price_jpy: '',
+            coupon: '',
+            repeat: false,
+            reason: OrderData.reason(dataObject.reason),
+            items: [],
+            attribution_model: '',
+            click_age: ''
+        };
+        return deliverPayload(payload).then(results => settleDeliveries(payload, results));
+    };
+
+    /**
+     * 送信済みの成果の商品情報・金額の修正（一部返品など）を通知します。
+     * 商品情報と金額は成果と同じ規則で整形し、修正後の内容を通知します。クリック識別子は利用しません。
+     * @param {object} dataObject - 修正情報を含むオブジェクト（oneAccountAmendの引数）
+     * @returns {Promise<{status: string, payload: object, deliveries: Array<object>}>} 通知の結果
+     */
+    const executeAmend = (dataObject) => {
+        const errors = OrderData.validate(dataObject, { orderNumber: true, totalPrice: true });
+        if (errors.length === 0 && dataObject.items === undefined && dataObject.total_price === undefined) {
+            errors.push({ code: 'INVALID_ITEMS', field: 'items', message: 'itemsまたはtotal_priceを指定してください。' });
+        }
+        if (errors.length > 0) {
+            return rejectWith(errors);
+        }
+        const order = OrderData.normalize(dataObject);
+        const payload = {
+            action: 'amend',
+            pid: dataObject.pid,
+            click_id: '',
+            order_number: OrderData.orderNumber(dataObject.order_number),
+            currency: order.currency,
+            total_price: order.total_price,
+            total_price_jpy: order.total_price_jpy,
+            coupon: dataObject.coupon ? String(dataObject.coupon).substring(0, 50) : '',
+            repeat: false,
+            reason: OrderData.reason(dataObject.reason),
+            items: order.items,
+            attribution_model: '',
+            click_age: ''
+        };
+        return deliverPayload(payload).then(results => settleDeliveries(payload, results));
+    };
+
+    /**
+     * 成果通知の処理を、同意モードによる保留とコールバックの呼び出しに対応した公開関数にします。
+     * 戻り値のPromiseは内部でrejectionを処理済みにするため、戻り値を利用しない呼び出し元でも警告は出ません。
+     * @param {Function} execute - 成果データを受け取り、結果のPromiseを返す処理
+     * @param {string} label - ログ出力用の処理名
+     * @returns {Function} 成果データを受け取り、結果のPromiseを返す関数
+     */
+    const createResultApi = (execute, label) => function(dataObject) {
+        // テストモードでは、送信するはずだったリクエストやCookieの操作を記録する
+        const run = TestMode.isEnabled() ? TestMode.begin(label) : null;
+        const result = new Promise((resolve, reject) => {
+            // 同意モードが有効な場合、同意が得られるまで実行を保留します。
+            Consent.whenGranted(
+                () => execute(dataObject).then(resolve, reject),
+                label,
+                () => reject(createSalesError([{ code: 'CONSENT_DENIED', field: null, message: `同意が得られなかったため、${label}を行いませんでした。` }]))
+            );
+        });
+
+        const callbacks = (dataObject && typeof dataObject === 'object') ? dataObject : {};
+        result.then(
+            (value) => {
+                if (run) TestMode.end(run, value.status, { payload: value.payload, postbacks: value.deliveries });
+                EventLog.emit('sales:result', { label: label, status: value.status, payload: value.payload });
+                if (typeof callbacks.onSuccess === 'function') callbacks.onSuccess(value);
+            },
+            (error) => {
+                if (run) TestMode.end(run, 'error', { payload: error.payload || null, postbacks: error.deliveries || [], error: { code: error.code, message: error.message, fields: error.fields, details: error.details } });
+                EventLog.emit('sales:error', { label: label, code: error.code, fields: error.fields, details: error.details });
+                if (typeof callbacks.onError === 'function') callbacks.onError(error);
+            }
+        ).catch(e => logger.error(`コールバックの実行中にエラーが発生しました: ${e.message}`));
+        return result;
+    };
+
+    // 成果データ1件分の成果計測を行う関数
+    const runSales = createResultApi(executeSales, '成果計測');
+
+    /**
+     * OneAccountの成果計測を実行するメイン関数。
+     * この関数をグローバルスコープに公開することで、HTMLから直接呼び出せるようになります。
+     * 例: oneAccountSales({ pid: 's000000...', items: [...] });
+     *
+     * 結果はPromiseで返します。成功時は整形後の成果データ（payload）と送信結果を、
+     * 失敗時は `code`（'NO_CLICK_ID' など）と `fields`（問題のある項目のパス）を持つエラーを受け取れます。
+     * 例: oneAccountSales({...}).then(result => ..., error => console.log(error.code, error.fields));
+     * Promiseを扱えない場合は、引数の `onSuccess` / `onError` にコールバックを指定します。
+     * 戻り値を利用しない既存の呼び出し方のままでも、未処理のrejectionとして報告されることはありません。
+     *
+     * 複数のプログラムの成果は、成果データの配列を渡して1回で計測できます。成果ごとに独立して計測し、Cookieもプログラムごとに削除します。
+     * 例: oneAccountSales([{ pid: 's000000...1', items: [...] }, { pid: 's000000...2', items: [...] }]);
+     * この場合は、成果ごとの結果を Promise.allSettled と同じ形式（{status: 'fulfilled', value} / {status: 'rejected', reason}）の配列で返します。
+     *
+     * @param {object|Array<object>} dataObject - 成果データを含むオブジェクト、またはその配列
+     * @param {string} dataObject.pid - プログラムID (必須, 15文字)
+     * @param {Array<object>} dataObject.items - 商品情報の配列 (必須)
+     * @param {number} dataObject.items[].price - 単価 (必須, 値引き後の金額)
+     * @param {number} dataObject.items[].quantity - 個数 (必須)
+     * @param {string} [dataObject.items[].code] - 商品コード (任意, 50文字まで)
+     * @param {string} [dataObject.items[].name] - 商品名 (任意, 100文字まで)
+     * @param {string} [dataObject.items[].category] - カテゴリー (任意, 50文字まで)
+     * @param {number} [dataObject.items[].discount] - 1個あたりの値引き額 (任意)
+     * @param {number} [dataObject.items[].tax] - 1個あたりの税額 (任意)
+     * @param {string} [dataObject.items[].coupon] - 商品ごとのクーポンコード (任意, 50文字まで)
+     * @param {string} [dataObject.order_number] - 注文番号 (任意)
+     * @param {string} [dataObject.currency] - 通貨コード (任意, デフォルト'JPY')
+     * @param {number} [dataObject.total_price] - 注文合計金額 (任意)
+     * @param {boolean} [dataObject.repeat] - リピート成果判定 (任意)
+     * @param {string} [dataObject.amount_priority] - 金額の優先指定 (任意)
+     * @param {string} [dataObject.coupon] - クーポンコード (任意)
+     * @param {Function} [dataObject.onSuccess] - 成功時に結果を受け取るコールバック (任意)
+     * @param {Function} [dataObject.onError] - 失敗時にエラーを受け取るコールバック (任意)
+     * @returns {Promise<object|Array<object>>} status が 'sent'（送信完了）/'queued'（再送キューに保存）の結果。配列を渡した場合は成果ごとの結果の配列
+     */
+    window.oneAccountSales = function(dataObject) {
+        if (!Array.isArray(dataObject)) return runSales(dataObject);
+        return Promise.all(dataObject.map(entry => runSales(entry).then(
+            (value) => ({ status: 'fulfilled', value: value }),
+            (reason) => ({ status: 'rejected', reason: reason })
+        )));
+    };
+
+    /**
+     * 送信済みの成果のキャンセルを通知する関数。
+     * 成果通知と同じ送信先に `act=cancel` を付けて通知します（ポストバックは `when.actions` に 'cancel' を含むもののみ）。
+     * 例: oneAccountCancel({ pid: 's000000...', order_number: 'ORDER-12345', reason: 'customer_request' });
+     *
+     * @param {object} dataObject - キャンセル情報を含むオブジェクト
+     * @param {string} dataObject.pid - プログラムID (必須, 15文字)
+     * @param {string} dataObject.order_number - キャンセルする注文の注文番号 (必須)
+     * @param {string} [dataObject.reason] - キャンセル理由 (任意, 100文字まで)
+     * @param {Function} [dataObject.onSuccess] - 成功時に結果を受け取るコールバック (任意)
+     * @param {Function} [dataObject.onError] - 失敗時にエラーを受け取るコールバック (任意)
+     * @returns {Promise<{status: string, payload: object, deliveries: Array<object>}>} oneAccountSalesと同じ形式の結果
+     */
+    window.oneAccountCancel = createResultApi(executeCancel, 'キャンセルの通知');
+
+    /**
+     * 送信済みの成果の修正（一部返品や金額の変更）を通知する関数。
+     * 修正後の商品情報・合計金額を `act=amend` を付けて通知します（ポストバックは `when.actions` に 'amend' を含むもののみ）。
+     * 例: oneAccountAmend({ pid: 's000000...', order_number: 'ORDER-12345', items: [...], total_price: 1500 });
+     *
+     * @param {object} dataObject - 修正情報を含むオブジェクト
+     * @param {string} dataObject.pid - プログラムID (必須, 15文字)
+     * @param {string} dataObject.order_number - 修正する注文の注文番号 (必須)
+     * @param {Array<object>} [dataObject.items] - 修正後の商品情報の配列 (itemsかtotal_priceのいずれかは必須)
+     * @param {number} [dataObject.total_price] - 修正後の注文合計金額 (任意, 省略時はitemsから計算)
+     * @param {string} [dataObject.currency] - 通貨コード (任意, デフォルト'JPY')
+     * @param {string} [dataObject.reason] - 修正理由 (任意, 100文字まで)
+     * @param {Function} [dataObject.onSuccess] - 成功時に結果を受け取るコールバック (任意)
+     * @param {Function} [dataObject.onError] - 失敗時にエラーを受け取るコールバック (任意)
+     * @returns {Promise<{status: string, payload: object, deliveries: Array<object>}>} oneAccountSalesと同じ形式の結果
+     */
+    window.oneAccountAmend = createResultApi(executeAmend, '修正の通知');
+
+    /**
+     * ランディング時のクリック識別子の保存を実行します。
+     * @param {object} dataObject - ランディング情報を含むオブジェクト（oneAccountLandingの引数）
+     */
+    const executeLanding = (dataObject) => {
+        if (!dataObject || typeof dataObject !== 'object' || typeof dataObject.pid !== 'string' || dataObject.pid.length !== 15) {
+            logger.error('pidが文字列(15byte)ではありません。');
+            return;
         }
-        // 役割を終えた中継用のCookieも削除する
-        CookieUtil.delete('ONEACCOUNT_DELIVERY', rootDomain);
-        logger.info(`中継用Cookieを削除しました: ONEACCOUNT_DELIVERY`);
+        const pid = dataObject.pid;
+        ClickStore.reconcile(pid);
+        const oneAccountParamFromUrl = ClickStore.fromUrl(pid);
+        let oneAccountValue = null;
+        if (oneAccountParamFromUrl) {
+            const rejection = ClickToken.check(oneAccountParamFromUrl, pid);
+            if (rejection) {
+                ClickToken.report(pid, 'url', rejection);
+                return;
+            }
+            oneAccountValue = oneAccountParamFromUrl;
+        } else {
+            oneAccountValue = ClickStore.fromDelivery(pid);
+        }
+        if (!oneAccountValue) return; // 広告経由の訪問でなければ何もしない
+
+        ClickStore.save(pid, oneAccountValue, dataObject.attribution_days);
+        logger.info(`クリック識別子を保存しました: ${ClickStore.cookieName(pid)}`);
     };
 
+    /**
+     * ランディングページでクリック識別子を保存する関数。
+     * 成果が発生するページより前（広告のリンク先など）で呼び出すことで、後日の再訪問で成果が発生した場合もクリック識別子を引き継げます。
+     * URLのoneAccountパラメータ（`oneAccount_<pid>` を優先）、なければクロスドメイン連携用の一時Cookieの値を `_oneAccount_<pid>` Cookieに保存します。
+     * scriptタグに `data-oneaccountpid` を指定した場合は、スクリプト読み込み時に自動で実行されます。
+     * 例: oneAccountLanding({ pid: 's000000...', attribution_days: 30 });
+     *
+     * @param {object} dataObject - ランディング情報を含むオブジェクト
+     * @param {string} dataObject.pid - プログラムID (必須, 15文字)
+     * @param {number} [dataObject.attribution_days] - クリック識別子の保存期間 (任意, デフォルトは `attributionDays` の設定値)
+     */
+    window.oneAccountLanding = function(dataObject) {
+        // 同意モードが有効な場合、同意が得られるまで実行を保留します。
+        if (!Consent.isGranted()) {
+            Consent.whenGranted(() => window.oneAccountLanding(dataObject), 'クリック識別子の保存');
+            return;
+        }
+        TestMode.track('クリック識別子の保存', () => executeLanding(dataObject));
+    };
+
+    /**
+     * スクリプト読み込み前に積まれたコマンドを実行するためのコマンドキューです。
+     * scriptタグに async/defer を指定して読み込む場合は、以下のようにコマンドを積んでおきます。
+     *
+     * window.oneAccountQueue = window.oneAccountQueue || [];
+     * oneAccountQueue.push(['sales', { pid: 's00000000000001', items: [...] }]);
+     *
+     * スクリプトの読み込み後は `oneAccountQueue.push` が即時実行する実装に置き換わるため、同じ書き方のまま利用できます。
+     * コマンドには関数を積むこともできます。
+     */
+    const CommandQueue = {
+        // コマンド名と実行する処理の組
+        COMMANDS: {
+            sales: (dataObject) => window.oneAccountSales(dataObject),
+            cancel: (dataObject) => window.oneAccountCancel(dataObject),
+            amend: (dataObject) => window.oneAccountAmend(dataObject),
+            landing: (dataObject) => window.oneAccountLanding(dataObject)
+        },
+        /**
+         * DOMの構築完了後に処理を実行します。成果通知用のコンテナ要素を参照できるようにするためです。
+         * @param {Function} callback - 実行する処理
+         */
+        whenReady: (callback) => {
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', callback);
+            } else {
+                callback();
+            }
+        },
+        /**
+         * コマンドを1件実行します。
+         * @param {Array|Function} command - ['コマンド名', 引数...] の配列、または関数
+         */
+        run: (command) => {
+            try {
+                if (typeof command === 'function') {
+                    command();
+                    return;
+                }
+                if (!Array.isArray(command) || !Object.prototype.hasOwnProperty.call(CommandQueue.COMMANDS, command[0])) {
+                    logger.error(`oneAccountQueueに不明なコマンドが積まれました: ${Array.isArray(command) ? command[0] : typeof command}`);
+                    return;
+                }
+                CommandQueue.COMMANDS[command[0]].apply(null, command.slice(1));
+            } catch (e) {
+                logger.error(`oneAccountQueueのコマンド実行中にエラーが発生しました: ${e.message}`);
+            }
+        },
+        /**
+         * 積まれていたコマンドを順に実行し、`window.oneAccountQueue` を即時実行する実装に置き換えます。
+         */
+        install: () => {
+            const pending = Array.isArray(window.oneAccountQueue) ? window.oneAccountQueue.slice() : [];
+            window.oneAccountQueue = {
+                push: (...commands) => {
+                    CommandQueue.whenReady(() => commands.forEach(CommandQueue.run));
+                    return commands.length;
+                }
+            };
+            if (pending.length > 0) {
+                CommandQueue.whenReady(() => pending.forEach(CommandQueue.run));
+            }
+        }
+    };
+
+    /**
+     * 成果通知用のコンテナ要素（#oneAccountSales）に記述された成果データを読み取り、自動で成果計測を行います。
+     * インラインスクリプトを利用できない環境向けの機能で、コンテナに `data-pid` 属性がある場合のみ動作します。
+     *
+     * <span id="oneAccountSales" data-pid="s00000000000001" data-order-number="ORDER-12345"
+     *       data-currency="JPY" data-total-price="2500">
+     *     <span data-oneaccount-item data-code="item-001" data-price="1000" data-quantity="2"></span>
+     * </span>
+     *
+     * 商品情報は子要素の代わりに `<script type="application/json">` で記述することもできます（商品の配列、または成果データ全体）。
+     * ページ読み込み後に追加・変更されたコンテナも検知します。
+     */
+    const DeclarativeTag = {
+        // 成果データとして読み取るコンテナの属性と、oneAccountSalesの引数のプロパティ名の組
+        ATTRIBUTES: {
+            'data-pid': 'pid',
+            'data-order-number': 'order_number',
+            'data-currency': 'currency',
+            'data-total-price': 'total_price',
+            'data-coupon': 'coupon',
+            'data-repeat': 'repeat',
+            'data-amount-priority': 'amount_priority'
+        },
+        // 商品要素から読み取る属性（変更を監視する対象）
+        ITEM_ATTRIBUTES: ['data-code', 'data-name', 'data-category', 'data-price', 'data-quantity', 'data-discount', 'data-tax', 'data-coupon'],
+        // 最後に成果計測を行ったコンテナと成果データの組（同じ内容での再実行を防ぐ）
+        processed: new WeakMap(),
+        // DOMの変更を監視しているMutationObserver（停止中はnull）
+        observer: null,
+        // 同意の撤回により監視を停止している場合はtrue
+        stopped: false,
+        /**
+         * 属性値を数値に変換します。数値として解釈できない値はバリデーションで検出できるよう、そのまま返します。
+         * @param {string|null} value - 属性値
+         * @returns {number|string|undefined} 変換後の値
+         */
+        toNumber: (value) => {
+            if (value === null || value === undefined || String(value).trim() === '') return undefined;
+            const number = Number(value);
+            return Number.isFinite(number) ? number : value;
+        },
+        /**
+         * コンテナ要素から成果データを組み立てます。
+         * @param {HTMLElement} container - 成果通知用のコンテナ要素
+         * @returns {object|null} oneAccountSalesに渡す成果データ。JSONが不正な場合はnull
+         */
+        read: (container) => {
+            let dataObject = {};
+            const jsonBlock = container.querySelector('script[type="application/json"]');
+            if (jsonBlock) {
+                try {
+                    const parsed = JSON.parse(jsonBlock.textContent);
+                    dataObject = Array.isArray(parsed) ? { items: parsed } : { ...parsed };
+                } catch (e) {
+                    logger.error(`#oneAccountSales内のJSONを解析できませんでした: ${e.message}`);
+                    return null;
+                }
+            }
+
+            Object.keys(DeclarativeTag.ATTRIBUTES).forEach(attr => {
+                if (!container.hasAttribute(attr)) return;
+                const key = DeclarativeTag.ATTRIBUTES[attr];
+                const value = container.getAttribute(attr);
+                if (key === 'total_price') {
+                    dataObject[key] = DeclarativeTag.toNumber(value);
+                } else if (key === 'repeat') {
+                    dataObject[key] = value === '' || value === '1' || value === 'true';
+                } else {
+                    dataObject[key] = value;
+                }
+            });
+
+            const itemElements = container.querySelectorAll('[data-oneaccount-item]');
+            if (itemElements.length > 0) {
+                dataObject.items = Array.from(itemElements).map(el => ({
+                    code: el.getAttribute('data-code') || undefined,
+                    name: el.getAttribute('data-name') || undefined,
+                    category: el.getAttribute('data-category') || undefined,
+                    price: DeclarativeTag.toNumber(el.getAttribute('data-price')),
+                    quantity: DeclarativeTag.toNumber(el.getAttribute('data-quantity')),
+                    discount: DeclarativeTag.toNumber(el.getAttribute('data-discount')),
+                    tax: DeclarativeTag.toNumber(el.getAttribute('data-tax')),
+                    coupon: el.getAttribute('data-coupon') || undefined
+                }));
+            }
+            return dataObject;
+        },
+        /**
+         * コンテナ要素を確認し、未処理の成果データがあれば成果計測を行います。
+         */
+        scan: () => {
+            const container = document.getElementById('oneAccountSales');
+            if (!container || !container.hasAttribute('data-pid')) return;
+
+            const dataObject = DeclarativeTag.read(container);
+            if (!dataObject) return;
+            const signature = JSON.stringify(dataObject);
+            if (DeclarativeTag.processed.get(container) === signature) return;
+            DeclarativeTag.processed.set(container, signature);
+
+            logger.info('#oneAccountSalesの属性から成果データを読み取りました。');
+            window.oneAccountSales(dataObject);
+        },
+        /**
+         * コンテナ要素の確認を行い、以降のDOMの変更を監視します。
+         * 変更が続けて発生した場合もまとめて1回だけ確認します。
+         */
+        observe: () => {
+            if (DeclarativeTag.observer) return;
+            DeclarativeTag.scan();
+            if (typeof window.MutationObserver !== 'function') return;
+
+            let timer = null;
+            const observer = DeclarativeTag.observer = new MutationObserver(() => {
+                if (timer) return;
+                timer = setTimeout(() => {
+                    timer = null;
+                    DeclarativeTag.scan();
+                }, 0);
+            });
+            observer.observe(document.documentElement, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                attributeFilter: DeclarativeTag.ITEM_ATTRIBUTES.concat(['id', 'data-oneaccount-item'], Object.keys(DeclarativeTag.ATTRIBUTES))
+            });
+        },
+        /**
+         * DOMの監視を停止します。同意が撤回された場合に利用します。
+         */
+        stop: () => {
+            if (!DeclarativeTag.observer) return;
+            DeclarativeTag.observer.disconnect();
+            DeclarativeTag.observer = null;
+            DeclarativeTag.stopped = true;
+        },
+        /**
+         * 同意の撤回により停止していた監視を再開します。
+         */
+        resume: () => {
+            if (!DeclarativeTag.stopped) return;
+            DeclarativeTag.stopped = false;
+            CommandQueue.whenReady(DeclarativeTag.observe);
+        }
+    };
+
+    /**
+     * GA4形式の購入イベント（`{event: 'purchase', ecommerce: {...}}`）をdataLayerから取得し、成果計測を行います。
+     * `dataLayerCapture`（data-oneaccountdatalayercapture="1"）を指定した場合のみ動作し、pidは `pid`（data-oneaccountpid）で指定します。
+     * スクリプト読み込み前に積まれたイベントと、読み込み後にpushされたイベントの両方が対象です。
+     *
+     * 標準以外のキーを利用しているサイトは、`window.oneAccountConfig.dataLayerMapping` で項目の取得元を変更できます。
+     * 例: { order_number: 'ecommerce.order_id', item_code: 'sku' }
+     */
+    const DataLayerCapture = {
+        // 成果データの項目と、dataLayerのイベントから値を取得するパスの組
+        // item_* は ecommerce.items の各要素からのパスです。
+        DEFAULT_MAPPING: {
+            order_number: 'ecommerce.transaction_id',
+            total_price: 'ecommerce.value',
+            currency: 'ecommerce.currency',
+            coupon: 'ecommerce.coupon',
+            items: 'ecommerce.items',
+            item_code: 'item_id',
+            item_name: 'item_name',
+            item_category: 'item_category',
+            item_price: 'price',
+            item_quantity: 'quantity',
+            item_discount: 'discount',
+            item_tax: 'tax',
+            item_coupon: 'coupon'
+        },
+        // 処理済みのイベント（同じイベントの二重処理を防ぐ）
+        processed: new WeakSet(),
+        // 監視しているdataLayer（未開始・停止中はnull）
+        dataLayer: null,
+        // 置き換える前のdataLayer.pushと、置き換えたpush
+        originalPush: null,
+        hook: null,
+        // 同意の撤回により監視を停止している場合はtrue
+        stopped: false,
+        /**
+         * ドット区切りのパスでオブジェクトの値を取得します。
+         * @param {object} obj - 対象のオブジェクト
+         * @param {string} path - 'ecommerce.items' のようなパス
+         * @returns {*} 値。存在しない場合はundefined
+         */
+        getPath: (obj, path) => String(path).split('.').reduce((value, key) => (value !== null && value !== undefined) ? value[key] : undefined, obj),
+        /**
+         * dataLayerのエントリーが購入イベントであれば、イベントオブジェクトとして返します。
+         * gtag()経由でpushされた `['event', 'purchase', {...}]` 形式にも対応します。
+         * @param {*} entry - dataLayerのエントリー
+         * @param {string} eventName - 購入イベント名
+         * @returns {object|null} イベントオブジェクト。購入イベントでなければnull
+         */
+        toEvent: (entry, eventName) => {
+            if (!entry || typeof entry !== 'object') return null;
+            if (entry.event === eventName) return entry;
+            if (entry[0] === 'event' && entry[1] === eventName && entry[2] && typeof entry[2] === 'object') {
+                return { event: eventName, ecommerce: entry[2] };
+            }
+            return null;
+        },
+        /**
+         * 購入イベントをoneAccountSalesの成果データに変換します。
+         * @param {object} event - 購入イベント
+         * @param {string} pid - プログラムID
+         * @returns {object} 成果データ
+         */
+        toSalesData: (event, pid) => {
+            const configured = getOption('dataLayerMapping', {});
+            const mapping = { ...DataLayerCapture.DEFAULT_MAPPING, ...(configured && typeof configured === 'object' ? configured : {}) };
+            const items = DataLayerCapture.getPath(event, mapping.items);
+            const dataObject = {
+                pid: pid,
+                order_number: DataLayerCapture.getPath(event, mapping.order_number),
+                total_price: DataLayerCapture.getPath(event, mapping.total_price),
+                currency: DataLayerCapture.getPath(event, mapping.currency),
+                coupon: DataLayerCapture.getPath(event, mapping.coupon),
+                items: Array.isArray(items) ? items.map(item => {
+                    // GA4では quantity を省略できる（省略時は1個）ため、未指定の場合は1とする
+                    const quantity = DataLayerCapture.getPath(item, mapping.item_quantity);
+                    return {
+                        code: DataLayerCapture.getPath(item, mapping.item_code),
+                        name: DataLayerCapture.getPath(item, mapping.item_name),
+                        category: DataLayerCapture.getPath(item, mapping.item_category),
+                        price: DataLayerCapture.getPath(item, mapping.item_price),
+                        quantity: (quantity === undefined || quantity === null) ? 1 : quantity,
+                        discount: DataLayerCapture.getPath(item, mapping.item_discount),
+                        tax: DataLayerCapture.getPath(item, mapping.item_tax),
+                        coupon: DataLayerCapture.getPath(item, mapping.item_coupon)
+                    };
+                }) : items
+            };
+            // 注文番号は数値でpushされることもあるため文字列に揃える
+            if (typeof dataObject.order_number === 'number') dataObject.order_number = String(dataObject.order_number);
+            Object.keys(dataObject).forEach(key => {
+                if (dataObject[key] === undefined) delete dataObject[key];
+            });
+            return dataObject;
+        },
+        /**
+         * dataLayerのエントリーを処理します。購入イベントであれば成果計測を行います。
+         * @param {*} entry - dataLayerのエントリー
+         */
+        handle: (entry) => {
+            const event = DataLayerCapture.toEvent(entry, getOption('dataLayerEvent', 'purchase'));
+            if (!event || DataLayerCapture.processed.has(entry)) return;
+            DataLayerCapture.processed.add(entry);
+
+            const pid = getOption('pid', null);
+            if (!pid) {
+                logger.error('dataLayerの購入イベントを検知しましたが、pidが設定されていません。');
+                return;
+            }
+            logger.info('dataLayerの購入イベントから成果データを読み取りました。');
+            window.oneAccountSales(DataLayerCapture.toSalesData(event, pid));
+        },
+        /**
+         * dataLayerの既存のエントリーを処理し、以降のpushを監視します。
+         */
+        install: () => {
+            const enabled = getOption('dataLayerCapture', false);
+            if (enabled !== true && enabled !== '1' && enabled !== 'true') return;
+
+            const name = getOption('dataLayerName', 'dataLayer');
+            const dataLayer = window[name] = window[name] || [];
+            if (!Array.isArray(dataLayer)) {
+                logger.error(`window.${name}が配列ではないため、購入イベントを取得できません。`);
+                return;
+            }
+            if (DataLayerCapture.dataLayer === dataLayer) return;
+            const originalPush = DataLayerCapture.originalPush = dataLayer.push;
+            DataLayerCapture.dataLayer = dataLayer;
+            dataLayer.push = DataLayerCapture.hook = function() {
+                const result = originalPush.apply(dataLayer, arguments);
+                // 停止後も他のタグが置き換えた push から呼ばれることがあるため、監視中のみ処理する
+                if (DataLayerCapture.dataLayer === dataLayer) {
+                    Array.prototype.forEach.call(arguments, entry => CommandQueue.whenReady(() => DataLayerCapture.handle(entry)));
+                }
+                return result;
+            };
+            dataLayer.slice().forEach(DataLayerCapture.handle);
+        },
+        /**
+         * dataLayerの監視を停止します。同意が撤回された場合に利用します。
+         * 他のタグが後から push を置き換えている場合は、そのタグの処理を壊さないよう元に戻さず、監視のみ停止します。
+         */
+        stop: () => {
+            const dataLayer = DataLayerCapture.dataLayer;
+            if (!dataLayer) return;
+            DataLayerCapture.dataLayer = null;
+            DataLayerCapture.stopped = true;
+            if (dataLayer.push === DataLayerCapture.hook) dataLayer.push = DataLayerCapture.originalPush;
+        },
+        /**
+         * 同意の撤回により停止していた監視を再開します。停止中にpushされたイベントは処理しません。
+         */
+        resume: () => {
+            if (!DataLayerCapture.stopped) return;
+            DataLayerCapture.stopped = false;
+            const name = getOption('dataLayerName', 'dataLayer');
+            const dataLayer = window[name];
+            if (Array.isArray(dataLayer)) {
+                dataLayer.filter(entry => entry && typeof entry === 'object').forEach(entry => DataLayerCapture.processed.add(entry));
+            }
+            CommandQueue.whenReady(DataLayerCapture.install);
+        }
+    };
+
+    // テストモードの場合は、実行記録の保存先を用意して画面に表示します。
+    TestMode.init();
+
+    // 同意状態を取得し、変更の監視を開始します。
+    Consent.init();
+
+    // 前回までに送信できなかった成果通知を再送します。
+    Consent.whenGranted(RetryQueue.flush, '未送信の成果通知の再送');
+
+    // pidが設定されていれば、ランディング時のクリック識別子の保存を行います。
+    if (getOption('pid', null)) {
+        window.oneAccountLanding({ pid: getOption('pid', null) });
+    }
+
+    // 読み込み前に積まれていたコマンドを実行します。
+    CommandQueue.install();
+
+    // コンテナ要素の属性による成果計測を開始します。
+    CommandQueue.whenReady(DeclarativeTag.observe);
+
+    // dataLayerの購入イベントによる成果計測を開始します。
+    CommandQueue.whenReady(DataLayerCapture.install);
+
 })(window, document);
\ No newline at end of file
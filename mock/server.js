@@ -0,0 +1,652 @@
+/**
+ * server.js - OneAccount / ASP Mock Server
+ *
+ * ローカルの動作確認環境で、ASPのクリック計測とOneAccountの成果計測サーバーの代わりを務めるサーバーです。
+ * Node.jsの標準モジュールのみで動作し、記録はメモリ上に保持します（再起動すると消去されます）。
+ *
+ * - GET  /click                  : 署名付きのクリック識別子（クリックトークン）を発行・記録し、ランディングページへ302でリダイレクトします。
+ * - GET/POST /oneaccountfly/sales : OneAccountTracking.jsの成果通知を、スクリプトと同じ規則とクリックトークンの署名で検証して記録します。
+ * - GET/POST /asp-conversion-pixel.gif : cv.htmlで宣言したASPのポストバックを、クリックトークンの署名を含めて検証して記録します。
+ * - GET  /report                 : クリックと成果通知の突き合わせ結果を表示します（/report.json はJSON形式）。
+ * - POST /report/reset           : 記録を消去します。
+ *
+ * `node server.js --check-tracker` で、OneAccountTracking.jsと同じ規則の一覧が一致しているかを確認できます。
+ *
+ * @version 1.2.1 (separated)
+ */
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// 待ち受けるポート番号
+const PORT = Number(process.env.PORT) || 3000;
+// クリック後のリダイレクト先として許可するホスト名（オープンリダイレクトを防ぐため）
+const LANDING_HOSTS = (process.env.LANDING_HOSTS || 'test-site.local,another-site.local').split(',').map(host => host.trim()).filter(Boolean);
+// リダイレクト先が指定されなかった場合のランディングページ
+const DEFAULT_LANDING_URL = process.env.DEFAULT_LANDING_URL || 'http://test-site.local:8080/landing.html';
+// リダイレクト先が指定されなかった場合のプログラムID
+const DEFAULT_PID = 's00000000000001';
+// クリックトークンの署名に使う秘密鍵（動作確認用の既定値。本番相当の環境では必ず環境変数で指定する）
+const CLICK_TOKEN_SECRET = process.env.CLICK_TOKEN_SECRET || 'oneaccount-mock-secret';
+// クリックトークンの有効期間（秒、デフォルト30日）
+const CLICK_TOKEN_TTL = Number(process.env.CLICK_TOKEN_TTL) || 30 * 24 * 60 * 60;
+// クリックトークンの発行日時について許容する、ASPのサーバーとの時刻のずれ（秒。ブラウザのスクリプトは端末の時計を使うため判定しない）
+const CLICK_TOKEN_MAX_SKEW_SECONDS = 300;
+// 保持するクリック・成果通知の最大件数（古いものから破棄）
+const MAX_RECORDS = 1000;
+// 受け付けるPOST本文の最大バイト数
+const MAX_BODY_BYTES = 64 * 1024;
+// 規則を照合するOneAccountTracking.jsのパス（mockディレクトリのみをマウントするコンテナ内には存在しない）
+const TRACKER_SCRIPT = process.env.TRACKER_SCRIPT || path.join(__dirname, '..', 'html', 'OneAccountTracking.js');
+// 1x1の透明なGIF画像
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// --- ここからOneAccountTracking.jsと同じ規則 ---
+
+// 成果通知の種類（成果・キャンセル・修正）
+const ORDER_ACTIONS = ['sale', 'cancel', 'amend'];
+// アトリビューションモデル
+const ATTRIBUTION_MODELS = ['last_click', 'first_click', 'last_click_within'];
+// 商品の任意の文字列項目（パラメータ名）と最大文字数
+const ITEM_TEXT_FIELDS = { n: 100, ct: 50, cp: 50 };
+// 商品の任意の金額項目（パラメータ名）
+const ITEM_NUMBER_FIELDS = ['d', 't'];
+// 署名付きクリックトークンの形式のバージョン（トークンの先頭に付与される）
+const CLICK_TOKEN_VERSION = 'oa1';
+
+/**
+ * クリック識別子の形式が正しいかを判定します（OneAccountTracking.jsの ClickStore.isValid と同じ規則）。
+ * @param {*} value - クリック識別子
+ * @returns {boolean} 正しい場合はtrue
+ */
+const isValidClickId = (value) => typeof value === 'string' && /^[A-Za-z0-9\-_.]+$/.test(value) && value.length >= 92 && value.length <= 500;
+
+/**
+ * ISO 4217の通貨コードと補助単位の桁数を扱うオブジェクトです（OneAccountTracking.jsの Currency と同じ一覧）。
+ */
+const Currency = {
+    // 補助単位の桁数ごとの通貨コード（貴金属・試験用など、補助単位を持たないコードは除く）
+    MINOR_UNITS: {
+        0: 'BIF CLP DJF GNF ISK JPY KMF KRW PYG RWF UGX UYI VND VUV XAF XOF XPF',
+        2: 'AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BMD BND BOB BOV BRL BSD BTN BWP BYN BZD ' +
+            'CAD CDF CHE CHF CHW CNY COP COU CRC CUP CVE CZK DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD ' +
+            'GTQ GYD HKD HNL HTG HUF IDR ILS INR IRR JMD KES KGS KHR KPW KYD KZT LAK LBP LKR LRD LSL MAD MDL MGA MKD ' +
+            'MMK MNT MOP MRU MUR MVR MWK MXN MXV MYR MZN NAD NGN NIO NOK NPR NZD PAB PEN PGK PHP PKR PLN QAR RON RSD ' +
+            'RUB SAR SBD SCR SDG SEK SGD SHP SLE SOS SRD SSP STN SVC SYP SZL THB TJS TMT TOP TRY TTD TWD TZS UAH USD ' +
+            'USN UYU UZS VED VES WST XCD XCG YER ZAR ZMW ZWG',
+        3: 'BHD IQD JOD KWD LYD OMR TND',
+        4: 'CLF UYW'
+    },
+    // 通貨コードと桁数の組（初回参照時に MINOR_UNITS から作成する）
+    exponents: null,
+    /**
+     * 通貨の補助単位の桁数を取得します。
+     * @param {string} code - 通貨コード
+     * @returns {number|undefined} 桁数。ISO 4217にない通貨コードの場合はundefined
+     */
+    exponent: (code) => {
+        if (!Currency.exponents) {
+            Currency.exponents = {};
+            Object.keys(Currency.MINOR_UNITS).forEach(digits => {
+                Currency.MINOR_UNITS[digits].split(' ').forEach(unit => { Currency.exponents[unit] = Number(digits); });
+            });
+        }
+        return Currency.exponents[code];
+    }
+};
+
+// --- ここまでOneAccountTracking.jsと同じ規則 ---
+
+/**
+ * 署名付きのクリック識別子（クリックトークン）を発行・検証するためのオブジェクトです。
+ * 形式と検証の規則は README.md の「3.18. 署名付きのクリック識別子（クリックトークン）」が仕様です。署名の秘密鍵は CLICK_TOKEN_SECRET です。
+ * ブラウザのスクリプトは形式・有効期限・pidのみを確認するため、署名の検証と、サーバーの時計による発行日時・有効期限の厳密な判定はここで行います。
+ */
+const ClickToken = {
+    // トークン形式の正規表現（README.md 3.18.。OneAccountTracking.jsの ClickToken.PATTERN と同じ）
+    PATTERN: /^oa1\.([A-Za-z0-9]{15})\.([0-9a-z]{1,10})\.([0-9a-z]{1,8})\.([A-Za-z0-9_-]{16,64})\.([A-Za-z0-9_-]{43})$/,
+    /**
+     * 署名を作成します。
+     * @param {string} body - 署名の対象（'<署名>' より前の部分）
+     * @returns {string} 署名（base64url）
+     */
+    sign: (body) => crypto.createHmac('sha256', CLICK_TOKEN_SECRET).update(body).digest('base64url'),
+    /**
+     * クリックトークンを発行します。
+     * @param {string} pid - プログラムID
+     * @returns {string} クリックトークン
+     */
+    issue: (pid) => {
+        const issuedAt = Math.floor(Date.now() / 1000);
+        const body = [CLICK_TOKEN_VERSION, pid, issuedAt.toString(36), CLICK_TOKEN_TTL.toString(36), crypto.randomBytes(16).toString('base64url')].join('.');
+        return `${body}.${ClickToken.sign(body)}`;
+    },
+    /**
+     * クリックトークンを検証します。
+     * reason は MALFORMED / UNSIGNED / BAD_SIGNATURE / NOT_YET_VALID / EXPIRED / PID_MISMATCH のいずれかです。
+     * @param {string} value - クリック識別子
+     * @param {string|null} pid - 成果を計上するプログラムID。pidを確認しない場合はnull
+     * @returns {{reason: string, message: string}|null} 受け付けられない理由。問題がなければnull
+     */
+    verify: (value, pid) => {
+        if (!isValidClickId(value)) return { reason: 'MALFORMED', message: 'クリック識別子が仕様の範囲外または不正な文字を含みます。' };
+        if (value.indexOf(`${CLICK_TOKEN_VERSION}.`) !== 0) return { reason: 'UNSIGNED', message: 'クリック識別子が署名付きのトークンではありません。' };
+        const match = ClickToken.PATTERN.exec(value);
+        if (!match) return { reason: 'MALFORMED', message: 'クリックトークンの形式が不正です。' };
+        const body = value.substring(0, value.lastIndexOf('.'));
+        const expected = Buffer.from(ClickToken.sign(body));
+        const actual = Buffer.from(match[5]);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return { reason: 'BAD_SIGNATURE', message: 'クリックトークンの署名が一致しません。' };
+        }
+        const now = Math.floor(Date.now() / 1000);
+        const issuedAt = parseInt(match[2], 36);
+        const expiresAt = issuedAt + parseInt(match[3], 36);
+        if (issuedAt > now + CLICK_TOKEN_MAX_SKEW_SECONDS) return { reason: 'NOT_YET_VALID', message: 'クリックトークンの発行日時が未来です。' };
+        if (expiresAt <= now) return { reason: 'EXPIRED', message: `クリックトークンの有効期限(${new Date(expiresAt * 1000).toISOString()})が切れています。` };
+        if (pid !== null && match[1] !== pid) return { reason: 'PID_MISMATCH', message: `クリックトークンは別のプログラム(${match[1]})のものです。` };
+        return null;
+    }
+};
+
+/**
+ * OneAccountTracking.jsと同じ規則の一覧（通貨コードと補助単位の桁数、商品の任意項目、クリックトークンの形式）が、
+ * OneAccountTracking.jsの定義と一致しているかを確認するためのオブジェクトです。
+ */
+const TrackerRules = {
+    /**
+     * OneAccountTracking.jsから、'<名前>: <値>' の形式で定義された一覧を読み取ります。
+     * @param {string} source - OneAccountTracking.jsのソース
+     * @param {string} name - 定義の名前
+     * @returns {*} 定義の値。見つからない場合はundefined
+     */
+    read: (source, name) => {
+        const match = new RegExp(`^\\s*${name}: (\\{[^}]*\\}|\\[[^\\]]*\\]|/.+/),?$`, 'm').exec(source);
+        return match ? vm.runInNewContext(`(${match[1]})`) : undefined;
+    },
+    /**
+     * OneAccountTracking.jsの定義と照合します。
+     * @param {string} source - OneAccountTracking.jsのソース
+     * @returns {string[]} 一致しない項目の説明。すべて一致する場合は空の配列
+     */
+    compare: (source) => {
+        // 商品の項目名から、成果通知のパラメータ名への対応（'i[{index}][n]': '{name}' など）
+        const params = {};
+        source.replace(/'i\[\{index\}\]\[(\w+)\]': '\{(\w+)\}'/g, (all, param, field) => { params[field] = param; });
+        const textFields = TrackerRules.read(source, 'ITEM_TEXT_FIELDS') || {};
+        const expected = {
+            'Currency.MINOR_UNITS': TrackerRules.read(source, 'MINOR_UNITS'),
+            ITEM_TEXT_FIELDS: Object.keys(textFields).reduce((fields, field) => Object.assign(fields, { [params[field]]: textFields[field] }), {}),
+            ITEM_NUMBER_FIELDS: (TrackerRules.read(source, 'ITEM_NUMBER_FIELDS') || []).map(field => params[field]),
+            'ClickToken.PATTERN': String(TrackerRules.read(source, 'PATTERN'))
+        };
+        const actual = {
+            'Currency.MINOR_UNITS': Currency.MINOR_UNITS,
+            ITEM_TEXT_FIELDS: ITEM_TEXT_FIELDS,
+            ITEM_NUMBER_FIELDS: ITEM_NUMBER_FIELDS,
+            'ClickToken.PATTERN': String(ClickToken.PATTERN)
+        };
+        return Object.keys(expected)
+            .filter(name => JSON.stringify(actual[name]) !== JSON.stringify(expected[name]))
+            .map(name => `${name} がOneAccountTracking.jsと一致しません（mock: ${JSON.stringify(actual[name])}, OneAccountTracking.js: ${JSON.stringify(expected[name])}）`);
+    },
+    /**
+     * TRACKER_SCRIPT のOneAccountTracking.jsと照合します。
+     * @returns {string[]|null} 一致しない項目の説明。OneAccountTracking.jsが存在しない場合はnull
+     */
+    check: () => {
+        if (!fs.existsSync(TRACKER_SCRIPT)) return null;
+        return TrackerRules.compare(fs.readFileSync(TRACKER_SCRIPT, 'utf8'));
+    }
+};
+
+/**
+ * クリックと成果通知の記録を保持するオブジェクトです。
+ */
+const Store = {
+    // 発行したクリック
+    clicks: [],
+    // 受信した成果通知（OneAccountの成果計測・ASPのポストバック）
+    conversions: [],
+    /**
+     * 記録を追加します。上限件数を超えた分は古いものから破棄します。
+     * @param {Array<object>} list - 追加先
+     * @param {object} record - 追加する記録
+     */
+    add: (list, record) => {
+        list.push(record);
+        if (list.length > MAX_RECORDS) list.splice(0, list.length - MAX_RECORDS);
+    },
+    /**
+     * クリック識別子からクリックを検索します。
+     * @param {string} clickId - クリック識別子
+     * @returns {object|undefined} クリック
+     */
+    findClick: (clickId) => Store.clicks.find(click => click.id === clickId),
+    /**
+     * すべての記録を消去します。
+     */
+    reset: () => {
+        Store.clicks = [];
+        Store.conversions = [];
+    }
+};
+
+/**
+ * 成果通知のパラメータを検証するためのオブジェクトです。
+ * 問題は `{ field: パラメータ名, message: 内容 }` の配列で返します。
+ */
+const Validator = {
+    /**
+     * クリックトークンを検証し、問題があれば一覧に追加します。
+     * @param {Array<{field: string, message: string}>} errors - 問題の一覧
+     * @param {string} field - パラメータ名
+     * @param {string} value - クリック識別子
+     * @param {string|null} pid - プログラムID。pidを確認しない場合はnull
+     */
+    clickToken: (errors, field, value, pid) => {
+        const rejection = ClickToken.verify(value, pid);
+        if (rejection) errors.push({ field: field, reason: rejection.reason, message: `${field}: ${rejection.message}` });
+    },
+
+    /**
+     * 同じクリックトークンが、別の注文番号の成果として既に計上されていないかを確認します（リプレイの検出）。
+     * 継続課金などで同じクリックから複数の成果を計上する場合は、repeat=1 を指定します。
+     * @param {Array<{field: string, message: string}>} errors - 問題の一覧
+     * @param {Object<string, string>} params - パラメータ
+     */
+    replay: (errors, params) => {
+        if (params.repeat === '1') return;
+        const previous = Store.conversions.find(conversion => conversion.endpoint === 'oneaccount' && conversion.action === 'sale' &&
+            conversion.clickId === params.oneAccount && conversion.orderNumber !== params.o && conversion.errors.length === 0);
+        if (previous) {
+            errors.push({ field: 'oneAccount', reason: 'REPLAYED', message: `クリックトークンは別の注文(${previous.orderNumber})で既に使われています（継続課金の場合は repeat=1 を指定してください）。` });
+        }
+    },
+
+    /**
+     * 値が数値として解釈できるかを判定します。
+     * @param {*} value - 値
+     * @returns {boolean} 数値の場合はtrue
+     */
+    isNumber: (value) => typeof value === 'string' && value !== '' && Number.isFinite(Number(value)),
+
+    /**
+     * 小数点以下の桁数を取得します。
+     * @param {string} value - 数値の文字列
+     * @returns {number} 桁数
+     */
+    decimals: (value) => (value.indexOf('.') === -1 ? 0 : value.length - value.indexOf('.') - 1),
+
+    /**
+     * 商品ごとのパラメータ（'i[0][p]' など）を、商品番号ごとのオブジェクトにまとめます。
+     * @param {Object<string, string>} params - パラメータ
+     * @returns {Array<Object<string, string>>} 商品の配列（商品番号順）
+     */
+    items: (params) => {
+        const items = [];
+        Object.keys(params).forEach(key => {
+            const match = /^i\[(\d+)\]\[([a-z]+)\]$/.exec(key);
+            if (!match) return;
+            const index = Number(match[1]);
+            items[index] = items[index] || { index: index };
+            items[index][match[2]] = params[key];
+        });
+        return items.filter(Boolean);
+    },
+
+    /**
+     * OneAccountの成果計測サーバーへの通知（act / pid / oneAccount / o / c / p / i[n][...] など）を検証します。
+     * @param {Object<string, string>} params - パラメータ
+     * @returns {Array<{field: string, message: string}>} 問題の一覧
+     */
+    sales: (params) => {
+        const errors = [];
+        const action = params.act || 'sale';
+        if (!ORDER_ACTIONS.includes(action)) {
+            errors.push({ field: 'act', message: `actが ${ORDER_ACTIONS.join(' / ')} のいずれでもありません。` });
+        }
+        if (typeof params.pid !== 'string' || params.pid.length !== 15) {
+            errors.push({ field: 'pid', message: 'pidが文字列(15byte)ではありません。' });
+        }
+        if (action === 'sale') {
+            Validator.clickToken(errors, 'oneAccount', params.oneAccount, params.pid || '');
+            if (errors.length === 0) Validator.replay(errors, params);
+        }
+        if (!params.o || params.o.length > 50) {
+            errors.push({ field: 'o', message: '注文番号(o)が指定されていないか、50文字を超えています。' });
+        }
+        if (action !== 'cancel') {
+            const currency = params.c || 'JPY';
+            const exponent = Currency.exponent(currency);
+            if (exponent === undefined) {
+                errors.push({ field: 'c', message: `通貨コード(${currency})がISO 4217の通貨コードではありません。` });
+            }
+            if (!Validator.isNumber(params.p)) {
+                errors.push({ field: 'p', message: '成果金額(p)が数値ではありません。' });
+            } else if (exponent !== undefined && Validator.decimals(params.p) > exponent) {
+                errors.push({ field: 'p', message: `成果金額(p)の小数点以下が${currency}の補助単位(${exponent}桁)を超えています。` });
+            }
+            if (params.pj !== undefined && !Validator.isNumber(params.pj)) {
+                errors.push({ field: 'pj', message: '日本円換算の金額(pj)が数値ではありません。' });
+            }
+        }
+        if (action === 'sale') {
+            if (params.am !== undefined && !ATTRIBUTION_MODELS.includes(params.am)) {
+                errors.push({ field: 'am', message: `アトリビューションモデル(${params.am})が不正です。` });
+            }
+            if (params.ca !== undefined && !/^\d+$/.test(params.ca)) {
+                errors.push({ field: 'ca', message: 'クリックからの経過秒数(ca)が0以上の整数ではありません。' });
+            }
+            if (params.repeat !== undefined && params.repeat !== '1') {
+                errors.push({ field: 'repeat', message: 'repeatは 1 のみ指定できます。' });
+            }
+        }
+        if (params.reason !== undefined && params.reason.length > 100) {
+            errors.push({ field: 'reason', message: '理由(reason)が100文字を超えています。' });
+        }
+        if (params.bid !== undefined || params.bi !== undefined || params.bn !== undefined) {
+            // bi は1から始まる番号（OneAccountTracking.jsの {batch_index} と同じ）
+            if (!/^\d+$/.test(params.bi || '') || !/^\d+$/.test(params.bn || '') || Number(params.bi) < 1 || Number(params.bi) > Number(params.bn)) {
+                errors.push({ field: 'bi', message: '分割送信の番号(bi)と件数(bn)が不正です。' });
+            }
+        }
+
+        const items = Validator.items(params);
+        if (action === 'sale' && items.length === 0) {
+            errors.push({ field: 'i', message: '商品情報(i[n][...])がありません。' });
+        }
+        items.forEach(item => {
+            const prefix = `i[${item.index}]`;
+            if (action !== 'cancel' && !Validator.isNumber(item.p)) errors.push({ field: `${prefix}[p]`, message: `${prefix}[p]が数値ではありません。` });
+            if (action !== 'cancel' && !Validator.isNumber(item.q)) errors.push({ field: `${prefix}[q]`, message: `${prefix}[q]が数値ではありません。` });
+            Object.keys(ITEM_TEXT_FIELDS).forEach(field => {
+                if (item[field] !== undefined && item[field].length > ITEM_TEXT_FIELDS[field]) {
+                    errors.push({ field: `${prefix}[${field}]`, message: `${prefix}[${field}]が${ITEM_TEXT_FIELDS[field]}文字を超えています。` });
+                }
+            });
+            ITEM_NUMBER_FIELDS.forEach(field => {
+                if (item[field] !== undefined && !Validator.isNumber(item[field])) {
+                    errors.push({ field: `${prefix}[${field}]`, message: `${prefix}[${field}]が数値ではありません。` });
+                }
+            });
+        });
+        return errors;
+    },
+
+    /**
+     * ASPのポストバック（cv.htmlで宣言した click_id / order_total / order_number）を検証します。
+     * @param {Object<string, string>} params - パラメータ
+     * @returns {Array<{field: string, message: string}>} 問題の一覧
+     */
+    postback: (params) => {
+        const errors = [];
+        // ポストバックにはpidが含まれないため、pidとの一致は確認しない
+        Validator.clickToken(errors, 'click_id', params.click_id, null);
+        if (!Validator.isNumber(params.order_total)) {
+            errors.push({ field: 'order_total', message: '成果金額(order_total)が数値ではありません。' });
+        }
+        if (!params.order_number || params.order_number.length > 50) {
+            errors.push({ field: 'order_number', message: '注文番号(order_number)が指定されていないか、50文字を超えています。' });
+        }
+        return errors;
+    }
+};
+
+/**
+ * HTMLに埋め込む文字列をエスケープします。
+ * @param {*} value - 値
+ * @returns {string} エスケープした文字列
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+/**
+ * クリックと成果通知の突き合わせ結果を作成します。
+ * @returns {{clicks: Array<object>, conversions: Array<object>}} クリックごとの成果通知の件数と、成果通知ごとのクリック
+ */
+const buildReport = () => ({
+    clicks: Store.clicks.map(click => ({
+        ...click,
+        conversions: Store.conversions.filter(conversion => conversion.clickId === click.id).length
+    })),
+    conversions: Store.conversions.map(conversion => {
+        const click = conversion.clickId ? Store.findClick(conversion.clickId) : undefined;
+        return {
+            ...conversion,
+            // クリック識別子を利用しない通知（キャンセル・修正）は突き合わせの対象外
+            matched: conversion.clickId ? Boolean(click) : null,
+            clickPid: click ? click.pid : null,
+            pidMismatch: Boolean(click && conversion.pid && click.pid !== conversion.pid)
+        };
+    })
+});
+
+/**
+ * 突き合わせ結果をHTMLで表示します。値はすべてエスケープして埋め込みます。
+ * @returns {string} HTML
+ */
+const renderReport = () => {
+    const report = buildReport();
+    // クリックトークンは先頭が 'oa1.<pid>' で共通のため、末尾（署名）も表示する
+    const shorten = (id) => (id ? `${id.substring(0, 8)}…${id.substring(id.length - 8)}` : '');
+    const time = (value) => new Date(value).toISOString();
+    const clickRows = report.clicks.slice().reverse().map(click => `
+        <tr>
+            <td>${escapeHtml(time(click.time))}</td>
+            <td>${escapeHtml(click.pid)}</td>
+            <td title="${escapeHtml(click.id)}">${escapeHtml(shorten(click.id))}</td>
+            <td>${escapeHtml(click.landingUrl)}</td>
+            <td>${click.conversions}</td>
+        </tr>`).join('');
+    const conversionRows = report.conversions.slice().reverse().map(conversion => {
+        const match = conversion.matched === null ? '-' : (conversion.matched ? (conversion.pidMismatch ? `pid不一致(${conversion.clickPid})` : '一致') : '不明なクリック');
+        const errors = conversion.errors.map(error => `<li>${escapeHtml(error.message)}</li>`).join('');
+        return `
+        <tr class="${conversion.errors.length > 0 || conversion.matched === false || conversion.pidMismatch ? 'ng' : 'ok'}">
+            <td>${escapeHtml(time(conversion.time))}</td>
+            <td>${escapeHtml(conversion.endpoint)}</td>
+            <td>${escapeHtml(conversion.action)}</td>
+            <td>${escapeHtml(conversion.pid)}</td>
+            <td>${escapeHtml(conversion.orderNumber)}</td>
+            <td>${escapeHtml(conversion.amount)} ${escapeHtml(conversion.currency)}</td>
+            <td title="${escapeHtml(conversion.clickId)}">${escapeHtml(shorten(conversion.clickId))}</td>
+            <td>${escapeHtml(match)}</td>
+            <td>${errors ? `<ul>${errors}</ul>` : 'OK'}</td>
+        </tr>`;
+    }).join('');
+    return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+    <meta charset="UTF-8">
+    <title>OneAccount Mock Report</title>
+    <style>
+        body { font-family: sans-serif; margin: 20px; }
+        table { border-collapse: collapse; width: 100%; margin-bottom: 30px; font-size: 13px; }
+        th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; word-break: break-all; }
+        th { background-color: #f5f5f5; }
+        tr.ng { background-color: #fdecea; }
+        ul { margin: 0; padding-left: 16px; }
+    </style>
+</head>
+<body>
+    <h1>OneAccount Mock Report</h1>
+    <p>クリック ${report.clicks.length} 件 / 成果通知 ${report.conversions.length} 件（<a href="/report.json">JSON</a>）</p>
+    <form method="post" action="/report/reset"><button type="submit">記録を消去</button></form>
+    <h2>成果通知</h2>
+    <table>
+        <tr><th>受信日時</th><th>送信先</th><th>種類</th><th>pid</th><th>注文番号</th><th>金額</th><th>クリック識別子</th><th>クリック</th><th>検証結果</th></tr>${conversionRows}
+    </table>
+    <h2>クリック</h2>
+    <table>
+        <tr><th>クリック日時</th><th>pid</th><th>クリック識別子</th><th>リダイレクト先</th><th>成果通知</th></tr>${clickRows}
+    </table>
+</body>
+</html>`;
+};
+
+/**
+ * リクエストのクエリとPOST本文（application/x-www-form-urlencoded）のパラメータを取得します。
+ * @param {http.IncomingMessage} req - リクエスト
+ * @param {URL} url - リクエストURL
+ * @returns {Promise<Object<string, string>>} パラメータ名と値の組
+ */
+const readParams = (req, url) => new Promise((resolve, reject) => {
+    const params = {};
+    url.searchParams.forEach((value, key) => { params[key] = value; });
+    if (req.method !== 'POST') {
+        resolve(params);
+        return;
+    }
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(new Error('request body is too large'));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        new URLSearchParams(Buffer.concat(chunks).toString('utf8')).forEach((value, key) => { params[key] = value; });
+        resolve(params);
+    });
+    req.on('error', reject);
+});
+
+/**
+ * 応答を返します。
+ * @param {http.ServerResponse} res - レスポンス
+ * @param {number} status - ステータスコード
+ * @param {string} contentType - Content-Type
+ * @param {string|Buffer} body - 本文
+ * @param {Object<string, string>} [headers] - 追加のヘッダー
+ */
+const send = (res, status, contentType, body, headers) => {
+    res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store', ...(headers || {}) });
+    res.end(body);
+};
+
+/**
+ * パスごとの処理です。
+ */
+const Routes = {
+    /**
+     * クリックトークンを発行・記録し、ランディングページへリダイレクトします。
+     * クエリ: pid（プログラムID）、url（ランディングページ）、scoped=1（`oneAccount_<pid>` パラメータで渡す場合）
+     */
+    'GET /click': (req, res, url) => {
+        const pid = url.searchParams.get('pid') || DEFAULT_PID;
+        if (!/^[A-Za-z0-9]{15}$/.test(pid)) {
+            send(res, 400, 'text/plain; charset=utf-8', 'pidが英数字15文字ではありません。');
+            return;
+        }
+        let landing;
+        try {
+            landing = new URL(url.searchParams.get('url') || DEFAULT_LANDING_URL);
+        } catch (e) {
+            send(res, 400, 'text/plain; charset=utf-8', 'urlが不正です。');
+            return;
+        }
+        if (!/^https?:$/.test(landing.protocol) || !LANDING_HOSTS.includes(landing.hostname)) {
+            send(res, 400, 'text/plain; charset=utf-8', `リダイレクト先のホスト(${landing.hostname})は許可されていません。`);
+            return;
+        }
+        const id = ClickToken.issue(pid);
+        landing.searchParams.set(url.searchParams.get('scoped') === '1' ? `oneAccount_${pid}` : 'oneAccount', id);
+        Store.add(Store.clicks, { id: id, pid: pid, landingUrl: landing.href, time: Date.now(), userAgent: req.headers['user-agent'] || '' });
+        console.info(`[mock] クリックを記録しました: pid=${pid} id=${id}`);
+        send(res, 302, 'text/plain; charset=utf-8', '', { Location: landing.href });
+    },
+
+    /**
+     * OneAccountTracking.jsの成果通知を検証して記録します。
+     */
+    'ANY /oneaccountfly/sales': (req, res, url, params) => {
+        const errors = Validator.sales(params);
+        Store.add(Store.conversions, {
+            endpoint: 'oneaccount',
+            time: Date.now(),
+            method: req.method,
+            action: params.act || 'sale',
+            pid: params.pid || '',
+            clickId: params.oneAccount || '',
+            orderNumber: params.o || '',
+            amount: params.p || '',
+            currency: params.c || '',
+            params: params,
+            errors: errors
+        });
+        console.info(`[mock] 成果通知を受信しました: act=${params.act} pid=${params.pid} o=${params.o}${errors.length > 0 ? ` (問題 ${errors.length} 件)` : ''}`);
+        send(res, 200, 'image/gif', PIXEL);
+    },
+
+    /**
+     * ASPのポストバックを検証して記録します。
+     */
+    'ANY /asp-conversion-pixel.gif': (req, res, url, params) => {
+        const errors = Validator.postback(params);
+        Store.add(Store.conversions, {
+            endpoint: 'asp-site',
+            time: Date.now(),
+            method: req.method,
+            action: 'sale',
+            pid: '',
+            clickId: params.click_id || '',
+            orderNumber: params.order_number || '',
+            amount: params.order_total || '',
+            currency: '',
+            params: params,
+            errors: errors
+        });
+        console.info(`[mock] ポストバックを受信しました: order_number=${params.order_number}${errors.length > 0 ? ` (問題 ${errors.length} 件)` : ''}`);
+        send(res, 200, 'image/gif', PIXEL);
+    },
+
+    'GET /report': (req, res) => send(res, 200, 'text/html; charset=utf-8', renderReport()),
+
+    'GET /report.json': (req, res) => send(res, 200, 'application/json; charset=utf-8', JSON.stringify(buildReport(), null, 2)),
+
+    'POST /report/reset': (req, res) => {
+        Store.reset();
+        send(res, 303, 'text/plain; charset=utf-8', '', { Location: '/report' });
+    }
+};
+
+const server = http.createServer((req, res) => {
+    // 不正なHostヘッダーなどでURLを解析できない場合も、サーバーを停止させずに400を返す
+    Promise.resolve()
+        .then(() => {
+            const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+            const route = Routes[`${req.method} ${url.pathname}`] || ((req.method === 'GET' || req.method === 'POST') && Routes[`ANY ${url.pathname}`]);
+            if (!route) {
+                send(res, 404, 'text/plain; charset=utf-8', 'Not Found');
+                return null;
+            }
+            return readParams(req, url).then(params => route(req, res, url, params));
+        })
+        .catch(e => {
+            console.error(`[mock][ERROR] ${e.message}`);
+            if (!res.headersSent) send(res, 400, 'text/plain; charset=utf-8', e.message);
+        });
+});
+
+const problems = TrackerRules.check();
+if (process.argv.includes('--check-tracker')) {
+    if (problems === null) {
+        console.error(`[mock][ERROR] OneAccountTracking.jsが見つかりません: ${TRACKER_SCRIPT}`);
+        process.exit(2);
+    }
+    problems.forEach(problem => console.error(`[mock][ERROR] ${problem}`));
+    if (problems.length === 0) console.info('[mock] OneAccountTracking.jsと同じ規則の一覧が一致しています。');
+    process.exit(problems.length === 0 ? 0 : 1);
+}
+(problems || []).forEach(problem => console.warn(`[mock][WARN] ${problem}`));
+
+server.listen(PORT, () => console.info(`[mock] http://localhost:${PORT} で待ち受けています。`));
\ No newline at end of file